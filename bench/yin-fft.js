@@ -0,0 +1,131 @@
+// ============================================
+// WAVR TUNE — YIN Correlation Check + Benchmark
+//
+// Runs the YIN difference function both ways —
+// FFT autocorrelation (PitchDetector method 'fft')
+// and the direct nested loop ('direct') — on
+// synthetic sine and sawtooth signals:
+// 1. Both normalized difference functions agree
+//    within `tolerance` at every lag
+// 2. Both detect the same pitch, within a cent of
+//    each other and a few cents of the true frequency
+//    (YIN itself is that close on a sawtooth whose
+//    period is not a whole number of samples)
+// 3. Timing per block for each method
+//
+// Usage: node bench/yin-fft.js
+// Exits with 1 if any check fails.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The DSP scripts are classic scripts that publish
+// their classes on globalThis, as in the worklet
+['tuning', 'fft', 'pitch-algorithms', 'pitch-detector'].forEach(name => {
+  const file = path.join(__dirname, '..', 'js', name + '.js');
+  vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+const sampleRate = 48000;
+const tolerance = 1e-4;         // normalized difference, per lag
+const maxCents = 1;            // fft vs direct
+const maxCentsOff = 5;         // detected vs true frequency
+const frequencies = [82.41, 110, 220, 440, 880];
+const blockSizes = [1024, 2048];
+const benchBlocks = 200;
+
+const signals = {
+  sine: (freq, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / sampleRate),
+  sawtooth: (freq, i) => 0.4 * (2 * ((freq * i / sampleRate) % 1) - 1)
+};
+
+function makeSignal(shape, freq, length) {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) buffer[i] = signals[shape](freq, i);
+  return buffer;
+}
+
+function cents(a, b) {
+  return Math.abs(1200 * Math.log2(a / b));
+}
+
+function makeDetector(method, bufferSize) {
+  const detector = new PitchDetector(sampleRate);
+  detector.setParams({ algorithm: 'yin', method: method, bufferSize: bufferSize, minFrequency: 47 });
+  return detector;
+}
+
+let failures = 0;
+function check(ok, message) {
+  if (!ok) {
+    failures++;
+    console.log('  FAIL ' + message);
+  }
+}
+
+// ---- Correctness ----
+console.log('Correctness (tolerance ' + tolerance + ', ' + maxCents + ' cent apart, ' +
+  maxCentsOff + ' cents off)');
+blockSizes.forEach(blockSize => {
+  Object.keys(signals).forEach(shape => {
+    frequencies.forEach(freq => {
+      // The window must hold two periods
+      if (freq < 2 * sampleRate / blockSize) return;
+
+      const buffer = makeSignal(shape, freq, blockSize);
+      const half = blockSize / 2;
+      const label = shape + ' ' + freq + ' Hz, ' + blockSize;
+
+      const fft = new YinAlgorithm(sampleRate);
+      const direct = new YinAlgorithm(sampleRate);
+      direct.method = 'direct';
+      fft.normalizedDifference(buffer, half);
+      direct.normalizedDifference(buffer, half);
+
+      let maxError = 0;
+      for (let tau = 0; tau < half; tau++) {
+        maxError = Math.max(maxError, Math.abs(fft.yinBuffer[tau] - direct.yinBuffer[tau]));
+      }
+      check(maxError <= tolerance, label + ': difference functions differ by ' + maxError.toExponential(2));
+
+      const a = makeDetector('fft', blockSize).detect(buffer);
+      const b = makeDetector('direct', blockSize).detect(buffer);
+      check(a.frequency > 0 && b.frequency > 0, label + ': no pitch detected');
+      if (a.frequency > 0 && b.frequency > 0) {
+        check(cents(a.frequency, b.frequency) <= maxCents,
+          label + ': fft ' + a.frequency.toFixed(2) + ' Hz vs direct ' + b.frequency.toFixed(2) + ' Hz');
+        check(cents(a.frequency, freq) <= maxCentsOff, label + ': detected ' + a.frequency.toFixed(2) + ' Hz');
+      }
+
+      console.log('  ' + label.padEnd(26) + ' max error ' + maxError.toExponential(2) +
+        '  fft ' + a.frequency.toFixed(2) + ' Hz  direct ' + b.frequency.toFixed(2) + ' Hz');
+    });
+  });
+});
+
+// ---- Benchmark ----
+console.log('\nBenchmark (' + benchBlocks + ' blocks, sawtooth 220 Hz)');
+blockSizes.forEach(blockSize => {
+  const buffer = makeSignal('sawtooth', 220, blockSize);
+  const times = {};
+
+  ['fft', 'direct'].forEach(method => {
+    const detector = makeDetector(method, blockSize);
+    for (let n = 0; n < 10; n++) detector.detect(buffer);   // warm up
+
+    const start = process.hrtime.bigint();
+    for (let n = 0; n < benchBlocks; n++) detector.detect(buffer);
+    times[method] = Number(process.hrtime.bigint() - start) / 1e6 / benchBlocks;
+  });
+
+  const budget = (blockSize / sampleRate) * 1000;
+  console.log('  ' + String(blockSize).padEnd(5) +
+    ' fft ' + times.fft.toFixed(3) + ' ms' +
+    '  direct ' + times.direct.toFixed(3) + ' ms' +
+    '  (' + (times.direct / times.fft).toFixed(1) + 'x, block lasts ' + budget.toFixed(1) + ' ms)');
+});
+
+console.log(failures ? '\n' + failures + ' check(s) failed' : '\nAll checks passed');
+process.exit(failures ? 1 : 0);
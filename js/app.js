@@ -3,12 +3,31 @@
 //
 // All interactive elements wired up:
 // - 3D metallic knobs (drag to adjust)
-// - Piano keyboard (click to toggle)
+// - Piano keyboard (click to toggle — custom note mask)
 // - Preset chips (click to apply)
 // - Preset navigation arrows
 // - Bypass toggle
 // - Start/Stop listening
-// - Load audio file
+// - Load audio file (played through the corrector)
+// - Export tuned file as WAV
+// - Transcribe the loaded file to a MIDI melody
+// - Piano-roll pitch editor for the loaded file
+// - Detect key/scale from the mic or the loaded file
+// - Tuning: concert A, N-EDO, Scala .scl/.kbm files
+// - Pitch detection: voice type, algorithm (YIN, pYIN, MPM, ACF),
+//   range and YIN threshold
+// - Vibrato: keep the sung vibrato, add synthetic vibrato
+// - Note snap: hysteresis + minimum hold against flip-flopping
+// - MIDI keyboard input (held notes become the targets)
+// - MIDI file as target melody for the loaded audio
+// - Channel mode: mono, linked stereo, dual mono
+// - Harmony: up to four extra voices at scale or fixed intervals
+// - Session recorder: mic takes (dry + tuned) with punch in/out,
+//   kept in IndexedDB, played back and exported as WAV
+// - Backing track: beat played under the mic with its own level,
+//   takes line up with it (latency compensated), key from the beat
+// - Latency: reported and loopback-measured round trip, processing
+//   delay, low-latency mode (smaller blocks)
 // - Cents indicator bar
 // ============================================
 
@@ -18,22 +37,79 @@ class WavrTuneApp {
     this.audioContext = null;
     this.sourceNode = null;
     this.processorNode = null;
+    this.workletLoaded = false;
     this.mediaStream = null;
     this.fileSource = null;
+    this.fileBuffer = null;
+    this.fileName = '';
+    this.fileStartTime = 0;
+    this.fileTailTimer = null;  // waits for the tuned tail after the file ends
+
+    // Knob moves made while a file plays, replayed on export
+    this.automation = new ParamAutomation();
+
+    // Session recorder (created with the audio context)
+    this.recorder = null;
+    this.takeStore = new TakeStore();
+    this.takes = [];
+    this.takeSource = null;     // AudioBufferSourceNode playing a take
+    this.playingTake = null;
+    this.punchTake = null;      // take played back for punching in
+    this.takeStartTime = 0;     // context time the take started playing
+    this.recordBeatStart = null;  // beatStartTime while recording (null = no beat)
+
+    // Backing track sung over (levels: beatGain / vocalGain)
+    this.beatBuffer = null;
+    this.beatName = '';
+    this.beatSource = null;
+    this.beatOwner = null;      // what started it: 'user', 'record' or 'take'
+    this.beatStartTime = 0;     // context time of the beat's position 0
+    this.beatGain = null;
+    this.vocalGain = null;      // processor output
+
+    // Latency
+    this.latencyMode = 'normal';  // WavrTuneApp.latencyModes
+    this.measuredLatency = null;  // seconds, loaded by initLatency
+    this.latencyCapture = null;   // SessionRecorder while measuring
 
     // State
     this.isListening = false;
     this.isBypassed = false;
     this.isPlayingFile = false;
+    this.isExporting = false;
+    this.isTranscribing = false;
+    this.isRecording = false;
 
     // DSP
     this.pitchDetector = null;
     this.pitchCorrector = null;
+    this.channelProcessor = null;   // channel mode for the ScriptProcessor path
+    this.channelMode = 'mono';
     this.visualizer = null;
+    this.pitchEditor = null;
+    this.editorBuffer = null;   // file the editor's notes belong to
+    this.isAnalyzingEdit = false;
 
     // Knobs
     this.knobs = {};
 
+    // Key the keyboard mask is currently expressed in
+    this.currentKey = 'C';
+
+    // Tuning shared by detector, corrector and visualizer
+    this.tuning = Tuning.equal(12);
+    this.scalaTuning = null;   // last loaded Scala tuning
+
+    // Created when MIDI is first switched on
+    this.midiInput = null;
+
+    // Key detection
+    this.keyDetector = new KeyDetector();
+    this.keyListenSeconds = 8;
+    this.keyListenTimer = null;
+    this.isScanningKey = false;
+    this.suggestedKey = null;   // { key, scale } offered by Apply
+
     // Presets
     this.presetNames = ['natural', 'soft', 'modern', 'hardtune', 'tpain'];
     this.presetLabels = ['Natural', 'Soft Snap', 'Modern', 'Hard Tune', 'T-Pain'];
@@ -56,6 +132,15 @@ class WavrTuneApp {
     this.initPresetNav();
     this.initButtons();
     this.initVisualizer();
+    this.initPitchEditor();
+    this.initTuning();
+    this.initDetector();
+    this.initNoteInputs();
+    this.initChannelMode();
+    this.initHarmony();
+    this.initBacking();
+    this.initLatency();
+    this.initTakes();
 
     console.log('%c🎤 WAVR Tune ready', 'color:#c084fc;font-weight:bold;font-size:14px;');
   }
@@ -115,6 +200,12 @@ class WavrTuneApp {
         param: 'speed',
         format: function(v) { return Math.round(v * 0.5) + 'ms'; }
       },
+      {
+        id: 'transitionKnob',
+        valueId: 'transitionValue',
+        param: 'transition',
+        format: function(v) { return Math.round(v * 2).toString(); }
+      },
       {
         id: 'humanizeKnob',
         valueId: 'humanizeValue',
@@ -154,11 +245,9 @@ class WavrTuneApp {
             valueEl.textContent = cfg.format(value);
           }
           // Send to corrector
-          if (self.pitchCorrector) {
-            var p = {};
-            p[cfg.param] = value;
-            self.pitchCorrector.setParams(p);
-          }
+          var p = {};
+          p[cfg.param] = value;
+          self.setCorrectorParams(p);
         }
       });
 
@@ -174,6 +263,7 @@ class WavrTuneApp {
   // ============================================
 
   initKeyboard() {
+    var self = this;
     var keyboard = document.getElementById('noteGrid');
     if (!keyboard) return;
 
@@ -182,44 +272,68 @@ class WavrTuneApp {
       key.addEventListener('click', function(e) {
         e.preventDefault();
         key.classList.toggle('active');
+        self.onKeyboardEdited();
       });
     });
   }
 
-  updateKeyboardForScale(rootKey, scaleName) {
-    var scales = {
-      major: [0,2,4,5,7,9,11],
-      minor: [0,2,3,5,7,8,10],
-      pentatonic: [0,2,4,7,9],
-      blues: [0,3,5,6,7,10],
-      dorian: [0,2,3,5,7,9,10],
-      mixolydian: [0,2,4,5,7,9,10],
-      chromatic: [0,1,2,3,4,5,6,7,8,9,10,11]
-    };
-
-    var noteMap = {
-      'C':0,'C#':1,'D':2,'D#':3,'E':4,'F':5,
-      'F#':6,'G':7,'G#':8,'A':9,'A#':10,'B':11
-    };
-
-    var root = noteMap[rootKey] || 0;
-    var intervals = scales[scaleName] || scales.chromatic;
-    var activeNotes = intervals.map(function(i) { return (root + i) % 12; });
+  /**
+   * Pitch classes (0-11) of the keys currently switched on
+   */
+  getKeyboardMask() {
+    var mask = [];
+    document.querySelectorAll('#noteGrid .piano-key.active').forEach(function(k) {
+      var semitone = WavrTuneApp.noteMap[k.dataset.note];
+      if (semitone !== undefined) mask.push(semitone);
+    });
+    return mask.sort(function(a, b) { return a - b; });
+  }
 
+  setKeyboardMask(notes) {
     var keyboard = document.getElementById('noteGrid');
     if (!keyboard) return;
 
     keyboard.querySelectorAll('.piano-key').forEach(function(k) {
-      var note = k.dataset.note;
-      var semitone = noteMap[note];
-      if (activeNotes.indexOf(semitone) !== -1) {
-        k.classList.add('active');
-      } else {
-        k.classList.remove('active');
-      }
+      var semitone = WavrTuneApp.noteMap[k.dataset.note];
+      k.classList.toggle('active', notes.indexOf(semitone) !== -1);
     });
   }
 
+  /**
+   * The keyboard is the source of truth for allowed notes.
+   * If the mask still spells a named scale in the current key,
+   * select that scale; otherwise switch to 'custom'.
+   */
+  onKeyboardEdited() {
+    var mask = this.getKeyboardMask();
+    var scale = this.findScaleForMask(this.currentKey, mask);
+
+    if (scale) {
+      this.applyKeyScale(this.currentKey, scale);
+    } else {
+      this.applyKeyScale(this.currentKey, 'custom', mask);
+    }
+  }
+
+  findScaleForMask(rootKey, mask) {
+    var names = ScaleRegistry.names();
+    for (var i = 0; i < names.length; i++) {
+      var notes = this.scaleNotesFor(rootKey, names[i]).sort(function(a, b) { return a - b; });
+      if (notes.join(',') === mask.join(',')) return names[i];
+    }
+    return null;
+  }
+
+  scaleNotesFor(rootKey, scaleName) {
+    var root = WavrTuneApp.noteMap[rootKey] || 0;
+    var intervals = ScaleRegistry.intervals(scaleName);
+    return intervals.map(function(i) { return (root + i) % 12; });
+  }
+
+  updateKeyboardForScale(rootKey, scaleName) {
+    this.setKeyboardMask(this.scaleNotesFor(rootKey, scaleName));
+  }
+
   // ============================================
   // KEY / SCALE SELECTORS
   // ============================================
@@ -228,28 +342,506 @@ class WavrTuneApp {
     var self = this;
     var keySelect = document.getElementById('keySelect');
     var scaleSelect = document.getElementById('scaleSelect');
+    var saveBtn = document.getElementById('scaleSaveBtn');
+
+    ScaleRegistry.loadUserScales();
+    this.populateScaleSelect();
 
     function onChanged() {
       var key = keySelect ? keySelect.value : 'C';
       var scale = scaleSelect ? scaleSelect.value : 'major';
+      var notes;
 
-      // Update large display
-      var keyDisp = document.getElementById('keyDisplay');
-      var scaleDisp = document.getElementById('scaleDisplay');
-      if (keyDisp) keyDisp.textContent = key;
-      if (scaleDisp) scaleDisp.textContent = scale;
-
-      // Update corrector
-      if (self.pitchCorrector) {
-        self.pitchCorrector.setParams({ key: key, scale: scale });
+      // A custom mask moves with the key
+      if (scale === 'custom') {
+        var shift = WavrTuneApp.noteMap[key] - WavrTuneApp.noteMap[self.currentKey];
+        notes = self.getKeyboardMask().map(function(n) { return (n + shift + 12) % 12; });
       }
 
-      // Update keyboard
-      self.updateKeyboardForScale(key, scale);
+      self.applyKeyScale(key, scale, notes);
     }
 
     if (keySelect) keySelect.addEventListener('change', onChanged);
     if (scaleSelect) scaleSelect.addEventListener('change', onChanged);
+
+    // Save the custom mask / delete the selected user scale
+    if (saveBtn) {
+      saveBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        var scale = scaleSelect ? scaleSelect.value : 'major';
+        if (ScaleRegistry.isUserScale(scale)) {
+          self.deleteUserScale(scale);
+        } else {
+          self.saveCustomScale();
+        }
+      });
+    }
+  }
+
+  /**
+   * Rebuild the scale dropdown from ScaleRegistry:
+   * one optgroup per group, then 'Custom' last
+   */
+  populateScaleSelect() {
+    var scaleSelect = document.getElementById('scaleSelect');
+    if (!scaleSelect) return;
+
+    var current = scaleSelect.value || 'major';
+    scaleSelect.innerHTML = '';
+
+    ScaleRegistry.groups().forEach(function(g) {
+      var group = document.createElement('optgroup');
+      group.label = g.group;
+      g.scales.forEach(function(s) {
+        var option = document.createElement('option');
+        option.value = s.name;
+        option.textContent = s.label;
+        group.appendChild(option);
+      });
+      scaleSelect.appendChild(group);
+    });
+
+    var custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom';
+    scaleSelect.appendChild(custom);
+
+    scaleSelect.value = (ScaleRegistry.get(current) || current === 'custom') ? current : 'major';
+  }
+
+  /**
+   * Store the keyboard mask (relative to the current key)
+   * as a named user scale and select it
+   */
+  saveCustomScale() {
+    var label = prompt('Name this scale:');
+    if (label === null) return;
+
+    var root = WavrTuneApp.noteMap[this.currentKey];
+    var intervals = this.getKeyboardMask().map(function(n) { return (n - root + 12) % 12; });
+
+    try {
+      var name = ScaleRegistry.register(label, intervals);
+      this.onUserScalesChanged();
+      this.applyKeyScale(this.currentKey, name);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  deleteUserScale(name) {
+    var scale = ScaleRegistry.get(name);
+    if (!confirm('Delete scale "' + scale.label + '"?')) return;
+
+    // Keep the notes it had, as a custom mask
+    var mask = this.getKeyboardMask();
+    ScaleRegistry.unregister(name);
+    this.onUserScalesChanged();
+    this.applyKeyScale(this.currentKey, 'custom', mask);
+  }
+
+  /**
+   * Persist user scales and hand them to the worklet,
+   * whose registry has no access to localStorage
+   */
+  onUserScalesChanged() {
+    ScaleRegistry.saveUserScales();
+    this.populateScaleSelect();
+    this.postToProcessor({ type: 'userScales', scales: ScaleRegistry.exportUserScales() });
+  }
+
+  /**
+   * The save button saves a custom mask, deletes a user
+   * scale, and is hidden for built-in scales
+   */
+  updateScaleSaveButton(scale) {
+    var saveBtn = document.getElementById('scaleSaveBtn');
+    if (!saveBtn) return;
+
+    var isUser = ScaleRegistry.isUserScale(scale);
+    saveBtn.hidden = scale !== 'custom' && !isUser;
+    saveBtn.textContent = isUser ? 'DELETE' : 'SAVE';
+    saveBtn.title = isUser ? 'Delete this scale' : 'Save these notes as a scale';
+  }
+
+  /**
+   * Single place that changes key/scale: selectors,
+   * large display, keyboard and corrector stay in sync
+   *
+   * notes: pitch-class mask, only used when scale = 'custom'
+   */
+  applyKeyScale(key, scale, notes) {
+    var keySelect = document.getElementById('keySelect');
+    var scaleSelect = document.getElementById('scaleSelect');
+    if (keySelect) keySelect.value = key;
+    if (scaleSelect) scaleSelect.value = scale;
+    this.currentKey = key;
+
+    // Update large display
+    var keyDisp = document.getElementById('keyDisplay');
+    var scaleDisp = document.getElementById('scaleDisplay');
+    var scaleInfo = ScaleRegistry.get(scale);
+    if (keyDisp) keyDisp.textContent = key;
+    if (scaleDisp) scaleDisp.textContent = scaleInfo ? scaleInfo.label : scale;
+    this.updateScaleSaveButton(scale);
+
+    // Update keyboard + corrector
+    if (scale === 'custom') {
+      this.setKeyboardMask(notes);
+      this.setCorrectorParams({ key: key, scale: scale, notes: notes });
+    } else {
+      this.updateKeyboardForScale(key, scale);
+      this.setCorrectorParams({ key: key, scale: scale });
+    }
+  }
+
+  // ============================================
+  // TUNING
+  // ============================================
+
+  initTuning() {
+    var self = this;
+    var tuningSelect = document.getElementById('tuningSelect');
+    var pitchInput = document.getElementById('concertPitch');
+    var scalaInput = document.getElementById('scalaFileInput');
+    var previous = tuningSelect ? tuningSelect.value : '12';
+
+    if (tuningSelect) {
+      tuningSelect.addEventListener('change', function() {
+        var value = tuningSelect.value;
+
+        if (value === 'scala') {
+          // Stay on the current tuning until a file is loaded
+          tuningSelect.value = previous;
+          if (scalaInput) scalaInput.click();
+          return;
+        }
+
+        previous = value;
+        if (value === 'loaded' && self.scalaTuning) {
+          self.applyTuning(self.scalaTuning.withReference(self.getConcertPitch()));
+        } else {
+          self.applyTuning(Tuning.equal(parseInt(value, 10), self.getConcertPitch()));
+        }
+      });
+    }
+
+    if (pitchInput) {
+      pitchInput.addEventListener('change', function() {
+        var value = self.getConcertPitch();
+        pitchInput.value = value;
+        self.applyTuning(self.tuning.withReference(value));
+      });
+    }
+
+    if (scalaInput) {
+      scalaInput.addEventListener('change', function(e) {
+        var files = Array.prototype.slice.call(e.target.files);
+        if (files.length) {
+          self.loadScalaFiles(files).then(function() {
+            if (tuningSelect) previous = tuningSelect.value;
+          });
+        }
+        scalaInput.value = '';
+      });
+    }
+
+    this.applyTuning(this.tuning);
+  }
+
+  /**
+   * Concert A from the input, clamped to 400-480 Hz
+   */
+  getConcertPitch() {
+    var pitchInput = document.getElementById('concertPitch');
+    var value = pitchInput ? parseFloat(pitchInput.value) : 440;
+    if (!isFinite(value)) return 440;
+    return Math.max(400, Math.min(480, value));
+  }
+
+  /**
+   * Load a .scl (and optional .kbm) picked together
+   */
+  async loadScalaFiles(files) {
+    var scl = files.find(function(f) { return /\.scl$/i.test(f.name); });
+    var kbm = files.find(function(f) { return /\.kbm$/i.test(f.name); });
+
+    try {
+      if (!scl) throw new Error('Pick a .scl file (and optionally a .kbm file with it).');
+
+      var sclText = await scl.text();
+      var kbmText = kbm ? await kbm.text() : null;
+      this.scalaTuning = Tuning.fromScala(sclText, kbmText, this.getConcertPitch());
+
+    } catch (err) {
+      console.error('Scala error:', err);
+      alert('Could not load tuning:\n' + err.message);
+      return;
+    }
+
+    // One option holds the loaded tuning
+    var tuningSelect = document.getElementById('tuningSelect');
+    if (tuningSelect) {
+      var option = tuningSelect.querySelector('option[value="loaded"]');
+      if (!option) {
+        option = document.createElement('option');
+        option.value = 'loaded';
+        tuningSelect.insertBefore(option, tuningSelect.querySelector('option[value="scala"]'));
+      }
+      option.textContent = this.scalaTuning.name;
+      tuningSelect.value = 'loaded';
+    }
+
+    this.applyTuning(this.scalaTuning);
+  }
+
+  /**
+   * Switch every consumer over to a tuning
+   *
+   * Key, scale and the keyboard only mean something with
+   * 12 notes per octave, so they are disabled otherwise.
+   * A .kbm brings its own reference pitch.
+   */
+  applyTuning(tuning) {
+    this.tuning = tuning;
+
+    if (this.pitchDetector) this.pitchDetector.setTuning(tuning);
+    if (this.visualizer) this.visualizer.setTuning(tuning);
+    this.setCorrectorParams({ tuning: tuning.toJSON() });
+
+    var twelve = tuning.hasPitchClasses();
+    var keySelect = document.getElementById('keySelect');
+    var scaleSelect = document.getElementById('scaleSelect');
+    var keyboard = document.getElementById('noteGrid');
+    var pitchInput = document.getElementById('concertPitch');
+    if (keySelect) keySelect.disabled = !twelve;
+    if (scaleSelect) scaleSelect.disabled = !twelve;
+    if (keyboard) keyboard.classList.toggle('inactive', !twelve);
+    if (pitchInput) pitchInput.disabled = !!tuning.mapping;
+    this.updateEditorLock();
+  }
+
+  // ============================================
+  // PITCH DETECTION
+  // ============================================
+
+  initDetector() {
+    var self = this;
+    var select = document.getElementById('detectorSelect');
+    var voiceSelect = document.getElementById('voiceSelect');
+
+    if (select) {
+      PitchAlgorithms.names().forEach(function(name) {
+        var algorithm = PitchAlgorithms.get(name);
+        var option = document.createElement('option');
+        option.value = name;
+        option.textContent = algorithm.label;
+        option.title = algorithm.hint;
+        select.appendChild(option);
+      });
+      select.value = 'yin';
+    }
+
+    if (voiceSelect) {
+      Object.keys(PitchDetector.voiceTypes).forEach(function(name) {
+        var option = document.createElement('option');
+        option.value = name;
+        option.textContent = PitchDetector.voiceTypes[name].label;
+        voiceSelect.appendChild(option);
+      });
+      voiceSelect.value = 'any';
+
+      // A voice fills in range + threshold; they can still be fine-tuned
+      voiceSelect.addEventListener('change', function() {
+        var voice = PitchDetector.voiceTypes[voiceSelect.value];
+        var fields = { detectMin: voice.minFrequency, detectMax: voice.maxFrequency, detectThreshold: voice.threshold };
+        Object.keys(fields).forEach(function(id) {
+          var input = document.getElementById(id);
+          if (input) input.value = fields[id];
+        });
+        self.applyDetectorParams();
+      });
+    }
+
+    ['detectorSelect', 'detectMethod', 'detectMin', 'detectMax', 'detectThreshold'].forEach(function(id) {
+      var element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('change', function() {
+          self.applyDetectorParams();
+        });
+      }
+    });
+
+    this.updateDetectorInputs();
+  }
+
+  /**
+   * Voice, algorithm, range and threshold from the UI
+   * (PitchDetector.setParams), clamped
+   */
+  getDetectorParams() {
+    var read = function(id, fallback, min, max) {
+      var input = document.getElementById(id);
+      var value = input ? parseFloat(input.value) : NaN;
+      if (isNaN(value)) value = fallback;
+      return Math.max(min, Math.min(max, value));
+    };
+
+    var select = document.getElementById('detectorSelect');
+    var methodSelect = document.getElementById('detectMethod');
+    var voiceSelect = document.getElementById('voiceSelect');
+    var voice = PitchDetector.voiceTypes[voiceSelect ? voiceSelect.value : 'any'] ||
+                PitchDetector.voiceTypes.any;
+    var min = read('detectMin', voice.minFrequency, 47, 1000);
+
+    return {
+      algorithm: select && select.value ? select.value : 'yin',
+      method: methodSelect ? methodSelect.value : 'fft',
+      // The window can't outgrow the block (low-latency mode)
+      bufferSize: Math.min(voice.bufferSize, this.getBlockSize()),
+      threshold: read('detectThreshold', voice.threshold, 0.01, 0.5),
+      minFrequency: min,
+      maxFrequency: read('detectMax', voice.maxFrequency, min * 2, 2000)
+    };
+  }
+
+  /**
+   * Every live detector follows the UI (the main-thread one
+   * and the worklet's), and so does the visualizer; file
+   * analysis reads it per run
+   */
+  applyDetectorParams() {
+    var params = this.getDetectorParams();
+    if (this.channelProcessor) {
+      this.channelProcessor.setDetectorParams(params);
+      params = this.pitchDetector.getParams();
+    }
+    this.postToProcessor({ type: 'detector', params: params });
+    if (this.visualizer) this.visualizer.setRange(params.minFrequency, params.maxFrequency);
+    this.updateDetectorInputs(params);
+  }
+
+  /**
+   * Show the values in use (the window may narrow the
+   * range); the threshold only applies to YIN
+   */
+  updateDetectorInputs(params) {
+    params = params || this.getDetectorParams();
+    var fields = { detectMin: params.minFrequency, detectMax: params.maxFrequency, detectThreshold: params.threshold };
+    Object.keys(fields).forEach(function(id) {
+      var input = document.getElementById(id);
+      if (input) input.value = fields[id];
+    });
+
+    var thresholdInput = document.getElementById('detectThreshold');
+    if (thresholdInput) thresholdInput.disabled = params.algorithm !== 'yin';
+  }
+
+  // ============================================
+  // CHANNEL MODE
+  // ============================================
+
+  initChannelMode() {
+    var self = this;
+    var select = document.getElementById('channelMode');
+    if (!select) return;
+
+    select.value = this.channelMode;
+    select.addEventListener('change', function() {
+      self.setChannelMode(select.value);
+    });
+  }
+
+  /**
+   * 'mono' (sum), 'stereo' (linked) or 'dual' (dual mono) —
+   * see ChannelProcessor. Applies to playback and export.
+   */
+  setChannelMode(mode) {
+    if (ChannelProcessor.modes.indexOf(mode) === -1) return;
+    this.channelMode = mode;
+    if (this.channelProcessor) this.channelProcessor.setMode(mode);
+    this.postToProcessor({ type: 'channelMode', mode: mode });
+  }
+
+  // ============================================
+  // VIBRATO + NOTE SNAP
+  // ============================================
+
+  initNoteInputs() {
+    var self = this;
+    Object.keys(WavrTuneApp.noteInputs).forEach(function(id) {
+      var input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', function() {
+        var params = self.getNoteInputParams();
+        input.value = params[id];
+        var change = {};
+        change[id] = params[id];
+        self.setCorrectorParams(change);
+      });
+    });
+  }
+
+  /**
+   * Vibrato and note snap inputs, clamped to their ranges
+   * (PitchCorrector.setParams units)
+   */
+  getNoteInputParams() {
+    var params = {};
+    Object.keys(WavrTuneApp.noteInputs).forEach(function(id) {
+      var range = WavrTuneApp.noteInputs[id];
+      var input = document.getElementById(id);
+      var value = input ? parseFloat(input.value) : NaN;
+      if (isNaN(value)) value = range.fallback;
+      params[id] = Math.max(range.min, Math.min(range.max, value));
+    });
+    return params;
+  }
+
+  // ============================================
+  // HARMONY
+  // ============================================
+
+  initHarmony() {
+    var self = this;
+    var ids = Object.keys(WavrTuneApp.harmonyInputs).map(function(name) {
+      return WavrTuneApp.harmonyInputs[name].id;
+    });
+    ids.push('harmonyMode');
+
+    for (var voice = 1; voice <= Harmonizer.maxVoices; voice++) {
+      ids.forEach(function(id) {
+        var input = document.getElementById(id + voice);
+        if (!input) return;
+        input.addEventListener('change', function() {
+          self.setCorrectorParams({ harmony: self.getHarmonyVoices() });
+        });
+      });
+    }
+  }
+
+  /**
+   * The harmony rows as Harmonizer voices, clamped to their
+   * ranges (the inputs are corrected to match)
+   */
+  getHarmonyVoices() {
+    var voices = [];
+    for (var voice = 1; voice <= Harmonizer.maxVoices; voice++) {
+      var mode = document.getElementById('harmonyMode' + voice);
+      if (!mode) continue;
+
+      var params = { mode: mode.value };
+      Object.keys(WavrTuneApp.harmonyInputs).forEach(function(name) {
+        var range = WavrTuneApp.harmonyInputs[name];
+        var input = document.getElementById(range.id + voice);
+        var value = input ? parseFloat(input.value) : NaN;
+        if (isNaN(value)) value = range.fallback;
+        params[name] = Math.max(range.min, Math.min(range.max, value));
+        if (input) input.value = params[name];
+      });
+      voices.push(params);
+    }
+    return voices;
   }
 
   // ============================================
@@ -345,6 +937,7 @@ class WavrTuneApp {
     var mapping = [
       { param: 'correction', knobId: 'correctionKnob', valueId: 'correctionValue', format: function(v) { return Math.round(v) + '%'; } },
       { param: 'speed', knobId: 'speedKnob', valueId: 'speedValue', format: function(v) { return Math.round(v * 0.5) + 'ms'; } },
+      { param: 'transition', knobId: 'transitionKnob', valueId: 'transitionValue', format: function(v) { return Math.round(v * 2).toString(); } },
       { param: 'humanize', knobId: 'humanizeKnob', valueId: 'humanizeValue', format: function(v) { return Math.round(v).toString(); } },
       { param: 'formant', knobId: 'formantKnob', valueId: 'formantValue', format: function(v) { var st = Math.round((v-50)*0.24); return (st>=0?'+':'') + st; } },
       { param: 'mix', knobId: 'mixKnob', valueId: 'mixValue', format: function(v) { return Math.round(v).toString(); } }
@@ -362,9 +955,7 @@ class WavrTuneApp {
       }
     });
 
-    if (this.pitchCorrector) {
-      this.pitchCorrector.setParams(preset);
-    }
+    this.setCorrectorParams(preset);
   }
 
   // ============================================
@@ -398,6 +989,97 @@ class WavrTuneApp {
       });
     }
 
+    // Export tuned file
+    var exportBtn = document.getElementById('exportBtn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.exportFile();
+      });
+    }
+
+    // Audio → MIDI
+    var transcribeBtn = document.getElementById('transcribeBtn');
+    if (transcribeBtn) {
+      transcribeBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.transcribeFile();
+      });
+    }
+
+    // Pitch editor
+    var editBtn = document.getElementById('editBtn');
+    if (editBtn) {
+      editBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.toggleEditor();
+      });
+    }
+
+    // Key detection
+    var detectKeyBtn = document.getElementById('detectKeyBtn');
+    if (detectKeyBtn) {
+      detectKeyBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.detectKey();
+      });
+    }
+
+    var applyKeyBtn = document.getElementById('applyKeyBtn');
+    if (applyKeyBtn) {
+      applyKeyBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.applySuggestedKey();
+      });
+    }
+
+    // MIDI input
+    var midiBtn = document.getElementById('midiBtn');
+    if (midiBtn) {
+      midiBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.toggleMidi();
+      });
+    }
+
+    var midiOctave = document.getElementById('midiOctave');
+    if (midiOctave) {
+      midiOctave.addEventListener('change', function() {
+        self.setCorrectorParams({ midiExact: midiOctave.value === 'exact' });
+      });
+    }
+
+    // Target melody (MIDI file)
+    var melodyBtn = document.getElementById('melodyBtn');
+    var melodyInput = document.getElementById('melodyFileInput');
+    if (melodyBtn && melodyInput) {
+      melodyBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        melodyInput.click();
+      });
+      melodyInput.addEventListener('change', function(e) {
+        var file = e.target.files[0];
+        if (file) self.loadMelodyFile(file);
+        melodyInput.value = '';
+      });
+    }
+
+    var clearMelodyBtn = document.getElementById('clearMelodyBtn');
+    if (clearMelodyBtn) {
+      clearMelodyBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.setMelody(null, '');
+      });
+    }
+
+    var melodyOffset = document.getElementById('melodyOffset');
+    if (melodyOffset) {
+      melodyOffset.addEventListener('change', function() {
+        var ms = parseFloat(melodyOffset.value) || 0;
+        self.setCorrectorParams({ melodyOffset: ms });
+      });
+    }
+
     // Bypass
     var bypassBtn = document.getElementById('bypassBtn');
     if (bypassBtn) {
@@ -405,6 +1087,7 @@ class WavrTuneApp {
         e.preventDefault();
         self.isBypassed = !self.isBypassed;
         bypassBtn.classList.toggle('active', self.isBypassed);
+        self.postToProcessor({ type: 'bypass', value: self.isBypassed });
       });
     }
   }
@@ -433,92 +1116,252 @@ class WavrTuneApp {
       await this.audioContext.resume();
     }
 
+    // Separate levels for the backing track and the vocal
+    this.beatGain = this.audioContext.createGain();
+    this.beatGain.connect(this.audioContext.destination);
+    this.vocalGain = this.audioContext.createGain();
+    this.vocalGain.connect(this.audioContext.destination);
+    this.applyVolumes();
+
     this.pitchDetector = new PitchDetector(this.audioContext.sampleRate);
+    this.pitchDetector.setTuning(this.tuning);
+    this.pitchDetector.setParams(this.getDetectorParams());
+    this.updateDetectorInputs(this.pitchDetector.getParams());
     this.pitchCorrector = new PitchCorrector(this.audioContext.sampleRate);
+    this.channelProcessor = new ChannelProcessor(this.pitchDetector, this.pitchCorrector);
+    this.channelProcessor.setMode(this.channelMode);
+    this.recorder = new SessionRecorder(this.audioContext.sampleRate);
 
     this.syncAllParams();
   }
 
+  /**
+   * Send parameter changes to every corrector instance:
+   * the main-thread one (ScriptProcessor fallback, getParams)
+   * and the one living inside the AudioWorklet
+   */
+  setCorrectorParams(params) {
+    if (this.pitchCorrector) {
+      if (this.isPlayingFile) {
+        var position = this.audioContext.currentTime - this.fileStartTime;
+        this.automation.record(position, params, this.pitchCorrector.getKnobParams());
+      }
+      this.channelProcessor.setParams(params);
+    }
+    this.postToProcessor({ type: 'setParams', params: params });
+  }
+
+  postToProcessor(message, transfer) {
+    if (this.processorNode && this.processorNode.port) {
+      this.processorNode.port.postMessage(message, transfer || []);
+    }
+  }
+
   syncAllParams() {
     if (!this.pitchCorrector) return;
 
     var keySelect = document.getElementById('keySelect');
     var scaleSelect = document.getElementById('scaleSelect');
 
-    this.pitchCorrector.setParams({
+    var params = {
       key: keySelect ? keySelect.value : 'C',
       scale: scaleSelect ? scaleSelect.value : 'major',
       correction: this.knobs.correctionKnob ? this.knobs.correctionKnob.getValue() : 75,
       speed: this.knobs.speedKnob ? this.knobs.speedKnob.getValue() : 25,
+      transition: this.knobs.transitionKnob ? this.knobs.transitionKnob.getValue() : 20,
       humanize: this.knobs.humanizeKnob ? this.knobs.humanizeKnob.getValue() : 30,
       formant: this.knobs.formantKnob ? this.knobs.formantKnob.getValue() : 50,
-      mix: this.knobs.mixKnob ? this.knobs.mixKnob.getValue() : 85
-    });
+      mix: this.knobs.mixKnob ? this.knobs.mixKnob.getValue() : 85,
+      tuning: this.tuning.toJSON()
+    };
+
+    if (params.scale === 'custom') params.notes = this.getKeyboardMask();
+    Object.assign(params, this.getNoteInputParams());
+    params.harmony = this.getHarmonyVoices();
+
+    this.channelProcessor.setParams(params);
   }
 
   // ============================================
-  // MICROPHONE
+  // PROCESSOR NODE (AudioWorklet / ScriptProcessor)
   // ============================================
 
-  async toggleListening() {
-    if (this.isListening) {
-      this.stopListening();
-    } else {
-      await this.startListening();
+  /**
+   * Build the node that runs detection + correction.
+   * Prefers the AudioWorklet (audio thread); falls back
+   * to the deprecated ScriptProcessor when audioWorklet
+   * is missing or the modules fail to load.
+   */
+  async createProcessorNode() {
+    if (this.audioContext.audioWorklet && window.AudioWorkletNode) {
+      try {
+        return await this.createWorkletNode();
+      } catch (err) {
+        console.warn('AudioWorklet unavailable, using ScriptProcessor:', err);
+      }
     }
+    return this.createScriptProcessorNode();
   }
 
-  async startListening() {
-    try {
-      await this.initAudio();
-      this.stopFile();
+  async createWorkletNode() {
+    if (!this.workletLoaded) {
+      var modules = WavrTuneApp.workletModules;
+      for (var i = 0; i < modules.length; i++) {
+        await this.audioContext.audioWorklet.addModule(modules[i]);
+      }
+      this.workletLoaded = true;
+    }
 
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false
-        }
-      });
+    var node = new AudioWorkletNode(this.audioContext, 'tune-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      processorOptions: { blockSize: this.getBlockSize() }
+    });
 
-      this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+    var self = this;
+    node.port.onmessage = function(e) {
+      self.handleWorkletMessage(e.data);
+    };
 
-      var bufferSize = 2048;
-      this.processorNode = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
+    // Bring the worklet's corrector up to date with the UI
+    // (user scales first, the params may refer to one)
+    node.port.postMessage({ type: 'userScales', scales: ScaleRegistry.exportUserScales() });
+    node.port.postMessage({ type: 'setParams', params: this.pitchCorrector.getParams() });
+    node.port.postMessage({ type: 'detector', params: this.pitchDetector.getParams() });
+    node.port.postMessage({ type: 'channelMode', mode: this.channelMode });
+    node.port.postMessage({ type: 'bypass', value: this.isBypassed });
+    node.port.postMessage({ type: 'record', value: this.isRecording });
 
-      var self = this;
-      this.processorNode.onaudioprocess = function(e) {
-        self.processFrame(e);
-      };
+    return node;
+  }
 
-      this.sourceNode.connect(this.processorNode);
-      this.processorNode.connect(this.audioContext.destination);
+  createScriptProcessorNode() {
+    var node = this.audioContext.createScriptProcessor(this.getBlockSize(), 2, 2);
 
-      this.isListening = true;
-      this.updateButtonUI(true);
+    var self = this;
+    node.onaudioprocess = function(e) {
+      self.processFrame(e);
+    };
 
-    } catch (err) {
-      console.error('Mic error:', err);
-      alert('Could not access microphone.\nAllow permission and use HTTPS.');
-    }
+    return node;
   }
 
-  stopListening() {
-    if (this.processorNode) {
-      this.processorNode.disconnect();
-      this.processorNode.onaudioprocess = null;
-      this.processorNode = null;
+  /**
+   * The mic and file playback share one processor node,
+   * created on demand and wired to the speakers through
+   * the vocal level
+   */
+  async ensureProcessorNode() {
+    if (!this.processorNode) {
+      this.processorNode = await this.createProcessorNode();
+      this.processorNode.connect(this.vocalGain);
     }
-    if (this.sourceNode) {
-      this.sourceNode.disconnect();
+    return this.processorNode;
+  }
+
+  releaseProcessorNode() {
+    var node = this.processorNode;
+    if (!node) return;
+
+    node.disconnect();
+    if (node.port) {
+      node.port.onmessage = null;
+      node.port.postMessage({ type: 'dispose' });
+    } else {
+      node.onaudioprocess = null;
+    }
+    this.processorNode = null;
+  }
+
+  /**
+   * Swap the processor node for a fresh one (block size
+   * changed), keeping the mic or file connected to it
+   */
+  async rebuildProcessorNode() {
+    var source = this.sourceNode || this.fileSource;
+    if (source) source.disconnect();
+
+    this.releaseProcessorNode();
+    if (this.channelProcessor) this.channelProcessor.reset();
+
+    var processor = await this.ensureProcessorNode();
+    if (source) source.connect(processor);
+    if (this.fileSource) this.postToProcessor({ type: 'playback', startTime: this.fileStartTime });
+  }
+
+  handleWorkletMessage(data) {
+    if (data.type === 'pitch') {
+      this.showDetection({ frequency: data.frequency, clarity: data.clarity }, data.target);
+    } else if (data.type === 'recorded') {
+      (this.latencyCapture || this.recorder).push(data.time, data.dry, data.wet);
+
+      // The recorder keeps copies: hand the buffers back for reuse
+      var buffers = data.dry.concat(data.wet);
+      this.postToProcessor({ type: 'recycle', buffers: buffers }, buffers.map(function(b) { return b.buffer; }));
+    }
+  }
+
+  // ============================================
+  // MICROPHONE
+  // ============================================
+
+  async toggleListening() {
+    if (this.isListening) {
+      this.stopListening();
+    } else if (this.isPlayingFile) {
+      this.stopFile();
+    } else {
+      await this.startListening();
+    }
+  }
+
+  async startListening() {
+    try {
+      await this.initAudio();
+      this.stopFile();
+
+      this.mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false
+        }
+      });
+
+      this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+      var processor = await this.ensureProcessorNode();
+      this.sourceNode.connect(processor);
+
+      this.isListening = true;
+      this.updateButtonUI(true);
+      this.updateLatencyUI();
+
+    } catch (err) {
+      console.error('Mic error:', err);
+      alert('Could not access microphone.\nAllow permission and use HTTPS.');
+    }
+  }
+
+  stopListening() {
+    if (this.keyListenTimer) this.finishKeyListening();
+    if (this.isRecording) this.finishRecording();
+    if (this.punchTake) this.stopTake();
+    this.stopBeat();
+
+    this.releaseProcessorNode();
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
       this.sourceNode = null;
     }
     if (this.mediaStream) {
       this.mediaStream.getTracks().forEach(function(t) { t.stop(); });
       this.mediaStream = null;
     }
-    if (this.pitchCorrector) {
-      this.pitchCorrector.reset();
+    if (this.channelProcessor) {
+      this.channelProcessor.reset();
     }
 
     this.isListening = false;
@@ -539,8 +1382,22 @@ class WavrTuneApp {
       var arrayBuf = await file.arrayBuffer();
       var audioBuffer = await this.audioContext.decodeAudioData(arrayBuf);
 
-      this.processFileViz(audioBuffer);
-      this.playFile(audioBuffer);
+      this.fileBuffer = audioBuffer;
+      this.fileName = file.name;
+      this.automation.clear();
+
+      var exportBtn = document.getElementById('exportBtn');
+      if (exportBtn) exportBtn.disabled = false;
+      var transcribeBtn = document.getElementById('transcribeBtn');
+      if (transcribeBtn) transcribeBtn.disabled = false;
+      var editBtn = document.getElementById('editBtn');
+      if (editBtn) editBtn.disabled = false;
+
+      // Edits belong to the previous file
+      this.clearNoteEdits();
+      if (this.isEditorOpen()) this.analyzeForEditor();
+
+      await this.playFile(audioBuffer);
 
     } catch (err) {
       console.error('File error:', err);
@@ -548,83 +1405,1300 @@ class WavrTuneApp {
     }
   }
 
-  processFileViz(audioBuffer) {
-    var data = audioBuffer.getChannelData(0);
-    var chunkSize = 2048;
-    var hopSize = 1024;
+  /**
+   * Play a decoded file through the same processor node
+   * the mic uses, so knobs, key/scale and bypass are heard live
+   */
+  async playFile(audioBuffer) {
+    var processor = await this.ensureProcessorNode();
+
+    var source = this.audioContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(processor);
+
     var self = this;
+    source.onended = function() {
+      // Ignore the event from a source we already stopped
+      if (self.fileSource === source) self.finishFile();
+    };
 
+    this.fileSource = source;
     this.visualizer.clear();
-    var idx = 0;
+    source.start();
+    this.fileStartTime = this.audioContext.currentTime;
+    this.postToProcessor({ type: 'playback', startTime: this.fileStartTime });
+    this.isPlayingFile = true;
+    this.updateButtonUI(true);
+  }
+
+  /**
+   * The file ran out, but its last block and the shifter's
+   * look-ahead are still inside the processor: it keeps
+   * running on silence until they have played (one block of
+   * slack for the ScriptProcessor's double buffering)
+   */
+  finishFile() {
+    var source = this.fileSource;
+    var tail = this.pitchCorrector.getLatency() + 2 * this.getBlockSize();
+
+    var self = this;
+    this.fileTailTimer = setTimeout(function() {
+      self.fileTailTimer = null;
+      if (self.fileSource === source) self.stopFile();
+    }, tail / this.audioContext.sampleRate * 1000);
+  }
+
+  /**
+   * Stop right away (a manual stop cuts the tail too)
+   */
+  stopFile() {
+    if (this.fileTailTimer) {
+      clearTimeout(this.fileTailTimer);
+      this.fileTailTimer = null;
+    }
+    if (!this.fileSource) return;
 
-    function process() {
-      for (var c = 0; c < 8; c++) {
-        if (idx >= data.length - chunkSize) return;
+    var source = this.fileSource;
+    this.fileSource = null;
+    try { source.stop(); } catch(e) {}
+    source.disconnect();
+
+    this.releaseProcessorNode();
+    if (this.channelProcessor) {
+      this.channelProcessor.reset();
+    }
+
+    this.isPlayingFile = false;
+    this.updateButtonUI(false);
+    this.resetDisplay();
+  }
+
+  // ============================================
+  // MIDI INPUT
+  // ============================================
+
+  async toggleMidi() {
+    var btn = document.getElementById('midiBtn');
+
+    if (this.midiInput && this.midiInput.isConnected()) {
+      this.midiInput.disconnect();
+      if (btn) btn.classList.remove('active');
+      return;
+    }
+
+    if (!MidiInput.isSupported()) {
+      alert('Web MIDI is not available in this browser.');
+      return;
+    }
+
+    if (!this.midiInput) {
+      var self = this;
+      this.midiInput = new MidiInput();
+      this.midiInput.onChange = function(notes) {
+        self.onMidiNotes(notes);
+      };
+    }
+
+    try {
+      var count = await this.midiInput.connect();
+      if (btn) {
+        btn.classList.add('active');
+        btn.title = count + ' MIDI input' + (count === 1 ? '' : 's') + ' connected';
+      }
+    } catch (err) {
+      console.error('MIDI error:', err);
+      alert('Could not access MIDI devices.');
+    }
+  }
+
+  /**
+   * Held notes replace the key/scale until all are released
+   */
+  onMidiNotes(notes) {
+    this.setCorrectorParams({ midiNotes: notes });
+
+    var pitchClasses = notes.map(function(n) { return n % 12; });
+    document.querySelectorAll('#noteGrid .piano-key').forEach(function(k) {
+      var semitone = WavrTuneApp.noteMap[k.dataset.note];
+      k.classList.toggle('midi', pitchClasses.indexOf(semitone) !== -1);
+    });
+  }
+
+  // ============================================
+  // KEY DETECTION
+  // ============================================
+
+  /**
+   * Scan the loaded file if there is one (and the mic is off),
+   * else the backing track, otherwise listen to the mic for
+   * keyListenSeconds.
+   * Clicking again while listening stops early.
+   */
+  async detectKey() {
+    if (this.isScanningKey) return;
+    if (this.keyListenTimer) {
+      this.finishKeyListening();
+      return;
+    }
+
+    this.keyDetector.reset();
+
+    // The beat only when nothing is sung or played over it
+    if (this.fileBuffer && !this.isListening) {
+      await this.scanFileForKey();
+    } else if (this.beatBuffer && !this.isListening) {
+      await this.scanBeatForKey();
+    } else {
+      await this.listenForKey();
+    }
+  }
+
+  async scanFileForKey() {
+    var self = this;
+    var analyzer = new PitchAnalyzer(this.fileBuffer.sampleRate);
 
-        var chunk = data.slice(idx, idx + chunkSize);
-        var det = self.pitchDetector.detect(chunk);
-        var noteInfo = self.pitchDetector.frequencyToNote(det.frequency);
+    this.isScanningKey = true;
+    this.setKeyStatus('Scanning 0%');
 
-        var target = det.frequency;
-        if (noteInfo && det.frequency > 0) {
-          var scaleNotes = self.pitchCorrector.getScaleNotes();
-          target = self.pitchCorrector.getTargetFrequency(det.frequency, scaleNotes);
+    try {
+      var frames = await analyzer.analyze(this.fileBuffer, {
+        detector: this.getDetectorParams(),
+        onProgress: function(progress) {
+          self.setKeyStatus('Scanning ' + Math.round(progress * 100) + '%');
         }
+      });
+
+      frames.forEach(function(frame) {
+        var noteInfo = self.pitchDetector.frequencyToNote(frame.frequency);
+        self.keyDetector.addNote(noteInfo, frame.clarity);
+      });
 
-        self.visualizer.pushData(det.frequency, target);
-        self.updateDisplay(noteInfo, det);
-        idx += hopSize;
+      this.showKeySuggestion();
+
+    } catch (err) {
+      console.error('Key detection error:', err);
+      this.setKeyStatus('Scan failed');
+    } finally {
+      this.isScanningKey = false;
+    }
+  }
+
+  /**
+   * Key of the backing track from its chroma — a beat has
+   * chords, so single detected pitches would say little
+   */
+  async scanBeatForKey() {
+    var self = this;
+    var analyzer = new ChromaAnalyzer(this.beatBuffer.sampleRate);
+
+    this.isScanningKey = true;
+    this.setKeyStatus('Scanning beat 0%');
+
+    try {
+      var frames = await analyzer.analyze(this.beatBuffer, {
+        referenceFrequency: this.tuning.referenceFrequency,
+        onProgress: function(progress) {
+          self.setKeyStatus('Scanning beat ' + Math.round(progress * 100) + '%');
+        }
+      });
+
+      frames.forEach(function(frame) {
+        self.keyDetector.addChroma(frame.chroma);
+      });
+
+      this.showKeySuggestion();
+
+    } catch (err) {
+      console.error('Key detection error:', err);
+      this.setKeyStatus('Scan failed');
+    } finally {
+      this.isScanningKey = false;
+    }
+  }
+
+  /**
+   * Collect live detections (see showDetection) for a few
+   * seconds, starting the mic if it is not already on
+   */
+  async listenForKey() {
+    if (!this.isListening) await this.startListening();
+    if (!this.isListening) return;
+
+    var self = this;
+    var remaining = this.keyListenSeconds;
+    this.setKeyStatus('Listening ' + remaining + 's');
+
+    this.keyListenTimer = setInterval(function() {
+      remaining--;
+      if (remaining > 0) {
+        self.setKeyStatus('Listening ' + remaining + 's');
+      } else {
+        self.finishKeyListening();
       }
-      requestAnimationFrame(process);
+    }, 1000);
+  }
+
+  finishKeyListening() {
+    clearInterval(this.keyListenTimer);
+    this.keyListenTimer = null;
+    this.showKeySuggestion();
+  }
+
+  showKeySuggestion() {
+    var scales = ScaleRegistry.toMap(KeyDetector.candidateScales);
+    var best = this.keyDetector.suggest(scales)[0];
+
+    if (!best) {
+      this.setKeyStatus('Not enough pitched audio');
+      return;
+    }
+
+    var key = Object.keys(WavrTuneApp.noteMap)[best.root];
+    this.setKeyStatus(key + ' ' + ScaleRegistry.get(best.scale).label);
+    this.suggestedKey = { key: key, scale: best.scale };
+
+    var applyBtn = document.getElementById('applyKeyBtn');
+    if (applyBtn) applyBtn.hidden = false;
+  }
+
+  /**
+   * Show progress / result text; hides Apply until
+   * there is a new suggestion
+   */
+  setKeyStatus(text) {
+    var el = document.getElementById('keySuggestion');
+    if (el) el.textContent = text;
+
+    var applyBtn = document.getElementById('applyKeyBtn');
+    if (applyBtn) applyBtn.hidden = true;
+    this.suggestedKey = null;
+  }
+
+  applySuggestedKey() {
+    if (!this.suggestedKey) return;
+    this.applyKeyScale(this.suggestedKey.key, this.suggestedKey.scale);
+
+    var applyBtn = document.getElementById('applyKeyBtn');
+    if (applyBtn) applyBtn.hidden = true;
+  }
+
+  // ============================================
+  // TARGET MELODY (MIDI FILE)
+  // ============================================
+
+  async loadMelodyFile(file) {
+    try {
+      var midi = MidiFile.parse(await file.arrayBuffer());
+
+      // Channel 10 is drums — never a melody
+      var notes = midi.notes.filter(function(n) { return n.channel !== 9; });
+      if (notes.length === 0) throw new Error('The file has no melody notes.');
+
+      this.setMelody(new MelodyTimeline(notes), file.name);
+
+    } catch (err) {
+      console.error('MIDI file error:', err);
+      alert('Could not load MIDI file.\n' + err.message);
     }
+  }
 
-    process();
+  /**
+   * Use a melody as the correction target while the
+   * loaded file plays (null = back to key/scale)
+   */
+  setMelody(timeline, name) {
+    this.setCorrectorParams({ melody: timeline ? timeline.toJSON() : null });
+
+    var melodyBtn = document.getElementById('melodyBtn');
+    var clearBtn = document.getElementById('clearMelodyBtn');
+    if (melodyBtn) {
+      melodyBtn.classList.toggle('loaded', !!timeline);
+      melodyBtn.title = timeline
+        ? name + ' — ' + timeline.segments.length + ' notes'
+        : 'Load a MIDI file as the target melody';
+    }
+    if (clearBtn) clearBtn.hidden = !timeline;
   }
 
-  playFile(audioBuffer) {
-    this.fileSource = this.audioContext.createBufferSource();
-    this.fileSource.buffer = audioBuffer;
-    this.fileSource.connect(this.audioContext.destination);
+  // ============================================
+  // PITCH EDITOR
+  // ============================================
+
+  initPitchEditor() {
     var self = this;
-    this.fileSource.onended = function() { self.isPlayingFile = false; };
-    this.fileSource.start();
-    this.isPlayingFile = true;
+    this.pitchEditor = new PitchEditor('editorCanvas');
+    if (!this.pitchEditor.canvas) return;
+
+    this.pitchEditor.onChange = function(edits) {
+      self.setNoteEdits(edits);
+    };
+    this.pitchEditor.onSelect = function(selection) {
+      self.updateEditorTools(selection);
+    };
+
+    var bindParam = function(id, param) {
+      var input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', function() {
+        var value = input.value === '' ? null : Math.max(0, Math.min(100, Math.round(parseFloat(input.value))));
+        if (value !== null && isNaN(value)) value = null;
+        var params = {};
+        params[param] = value;
+        self.pitchEditor.setSelectionParams(params);
+        self.updateEditorTools(self.pitchEditor.getSelection());
+      });
+    };
+    bindParam('editCorrection', 'correction');
+    bindParam('editSpeed', 'speed');
+
+    var mergeBtn = document.getElementById('mergeNotesBtn');
+    if (mergeBtn) {
+      mergeBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.pitchEditor.mergeSelected();
+      });
+    }
+
+    var resetBtn = document.getElementById('resetNotesBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.pitchEditor.resetNotes();
+      });
+    }
   }
 
-  stopFile() {
-    if (this.fileSource) {
-      try { this.fileSource.stop(); } catch(e) {}
-      this.fileSource.disconnect();
-      this.fileSource = null;
+  /**
+   * The piano roll has 12 rows per octave: other tunings
+   * can view their notes but not edit them
+   */
+  updateEditorLock() {
+    if (!this.pitchEditor || !this.pitchEditor.canvas) return;
+
+    var locked = !this.tuning.hasPitchClasses();
+    this.pitchEditor.setReadOnly(locked);
+
+    var status = document.getElementById('editorStatus');
+    if (status && !this.isAnalyzingEdit) {
+      status.textContent = locked ? WavrTuneApp.editorHints.locked : WavrTuneApp.editorHints.edit;
+    }
+    var resetBtn = document.getElementById('resetNotesBtn');
+    if (resetBtn) resetBtn.disabled = locked;
+  }
+
+  isEditorOpen() {
+    var section = document.getElementById('editorSection');
+    return !!section && !section.hidden;
+  }
+
+  toggleEditor() {
+    var section = document.getElementById('editorSection');
+    var editBtn = document.getElementById('editBtn');
+    if (!section || !this.pitchEditor) return;
+
+    section.hidden = !section.hidden;
+    if (editBtn) editBtn.classList.toggle('active', !section.hidden);
+    if (section.hidden) return;
+
+    // Canvas had no size while hidden
+    this.pitchEditor.resize();
+    if (this.fileBuffer && this.editorBuffer !== this.fileBuffer) {
+      this.analyzeForEditor();
     }
-    this.isPlayingFile = false;
+  }
+
+  /**
+   * Detect the loaded file's pitch track and notes and
+   * show them in the editor
+   */
+  async analyzeForEditor() {
+    if (!this.fileBuffer || this.isAnalyzingEdit) return;
+
+    var buffer = this.fileBuffer;
+    var status = document.getElementById('editorStatus');
+    this.isAnalyzingEdit = true;
+
+    try {
+      var analyzer = new PitchAnalyzer(buffer.sampleRate);
+      var frames = await analyzer.analyze(buffer, {
+        detector: this.getDetectorParams(),
+        onProgress: function(progress) {
+          if (status) status.textContent = 'Analyzing ' + Math.round(progress * 100) + '%';
+        }
+      });
+
+      // Another file was loaded meanwhile
+      if (buffer !== this.fileBuffer) return;
+
+      var segmenter = new NoteSegmenter({ referenceFrequency: this.tuning.referenceFrequency });
+      this.pitchEditor.load(frames, segmenter.segment(frames), this.tuning.referenceFrequency, segmenter.minClarity);
+      this.editorBuffer = buffer;
+
+    } catch (err) {
+      console.error('Pitch editor error:', err);
+      alert('Could not analyze audio.');
+    } finally {
+      this.isAnalyzingEdit = false;
+      this.updateEditorLock();
+      if (buffer !== this.fileBuffer && this.isEditorOpen()) this.analyzeForEditor();
+    }
+  }
+
+  /**
+   * Per-note edits apply to the whole file, so they go
+   * straight to the corrector rather than through the
+   * automation lane
+   */
+  setNoteEdits(edits) {
+    var params = { edits: edits.length ? edits : null };
+    if (this.channelProcessor) this.channelProcessor.setParams(params);
+    this.postToProcessor({ type: 'setParams', params: params });
+  }
+
+  clearNoteEdits() {
+    this.setNoteEdits([]);
+    this.editorBuffer = null;
+    if (this.pitchEditor && this.pitchEditor.canvas) this.pitchEditor.clear();
+  }
+
+  updateEditorTools(selection) {
+    var shared = function(param) {
+      if (selection.length === 0) return '';
+      var value = selection[0][param];
+      var same = selection.every(function(n) { return n[param] === value; });
+      return same && value !== null ? value : '';
+    };
+
+    var correction = document.getElementById('editCorrection');
+    var speed = document.getElementById('editSpeed');
+    var mergeBtn = document.getElementById('mergeNotesBtn');
+
+    if (correction) {
+      correction.disabled = selection.length === 0;
+      correction.value = shared('correction');
+    }
+    if (speed) {
+      speed.disabled = selection.length === 0;
+      speed.value = shared('speed');
+    }
+    if (mergeBtn) mergeBtn.disabled = selection.length < 2;
   }
 
   // ============================================
-  // REAL-TIME PROCESSING
+  // OFFLINE RENDER / EXPORT
   // ============================================
 
-  processFrame(e) {
-    var input = e.inputBuffer.getChannelData(0);
-    var output = e.outputBuffer.getChannelData(0);
+  /**
+   * Render the loaded file with the current key, scale,
+   * knobs and recorded automation, then download it as WAV
+   */
+  async exportFile() {
+    if (!this.fileBuffer || this.isExporting) return;
 
-    var det = this.pitchDetector.detect(input);
-    var noteInfo = this.pitchDetector.frequencyToNote(det.frequency);
+    var btn = document.getElementById('exportBtn');
+    var formatSelect = document.getElementById('exportFormat');
+    var format = formatSelect ? formatSelect.value : 'pcm16';
+    var label = btn ? btn.innerHTML : '';
+    var buffer = this.fileBuffer;
 
-    var target = det.frequency;
-    if (noteInfo && det.frequency > 0) {
-      var scaleNotes = this.pitchCorrector.getScaleNotes();
-      target = this.pitchCorrector.getTargetFrequency(det.frequency, scaleNotes);
+    this.isExporting = true;
+
+    try {
+      var renderer = new OfflineRenderer(buffer.sampleRate);
+      var channels = await renderer.render(buffer, {
+        params: this.pitchCorrector.getParams(),
+        detector: this.getDetectorParams(),
+        channelMode: this.channelMode,
+        automation: this.automation,
+        blockSize: this.getBlockSize(),
+        onProgress: function(progress) {
+          if (btn) btn.textContent = 'Rendering ' + Math.round(progress * 100) + '%';
+        }
+      });
+
+      var blob = WavEncoder.encodeBlob(channels, buffer.sampleRate, format);
+      this.downloadBlob(blob, this.fileBaseName() + '-tuned.wav');
+
+    } catch (err) {
+      console.error('Export error:', err);
+      alert('Could not export audio.');
+    } finally {
+      this.isExporting = false;
+      if (btn) btn.innerHTML = label;
+    }
+  }
+
+  /**
+   * Detect the pitch track of the loaded file, split it into
+   * notes and download them as a .mid (optionally with pitch
+   * bend following the sung intonation)
+   */
+  async transcribeFile() {
+    if (!this.fileBuffer || this.isTranscribing) return;
+
+    var btn = document.getElementById('transcribeBtn');
+    var bendsSelect = document.getElementById('midiBends');
+    var pitchBend = bendsSelect ? bendsSelect.value === 'on' : false;
+    var label = btn ? btn.innerHTML : '';
+
+    this.isTranscribing = true;
+
+    try {
+      var analyzer = new PitchAnalyzer(this.fileBuffer.sampleRate);
+      var frames = await analyzer.analyze(this.fileBuffer, {
+        detector: this.getDetectorParams(),
+        onProgress: function(progress) {
+          if (btn) btn.textContent = 'Analyzing ' + Math.round(progress * 100) + '%';
+        }
+      });
+
+      var segmenter = new NoteSegmenter({ referenceFrequency: this.tuning.referenceFrequency });
+      var notes = segmenter.segment(frames);
+      if (notes.length === 0) {
+        alert('No notes found in this file.');
+        return;
+      }
+
+      var bytes = MidiFile.write(notes, { pitchBend: pitchBend });
+      var blob = new Blob([bytes], { type: 'audio/midi' });
+      this.downloadBlob(blob, this.fileBaseName() + '-melody.mid');
+
+    } catch (err) {
+      console.error('Transcription error:', err);
+      alert('Could not transcribe audio.');
+    } finally {
+      this.isTranscribing = false;
+      if (btn) btn.innerHTML = label;
+    }
+  }
+
+  fileBaseName() {
+    var name = this.fileName || 'wavr-tune';
+    var dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(0, dot) : name;
+  }
+
+  downloadBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  // ============================================
+  // BACKING TRACK
+  // ============================================
+
+  initBacking() {
+    var self = this;
+
+    var loadBtn = document.getElementById('beatLoadBtn');
+    var fileInput = document.getElementById('beatFileInput');
+    if (loadBtn && fileInput) {
+      loadBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        fileInput.click();
+      });
+      fileInput.addEventListener('change', function(e) {
+        var file = e.target.files[0];
+        if (file) self.loadBeatFile(file);
+        fileInput.value = '';
+      });
+    }
+
+    var playBtn = document.getElementById('beatPlayBtn');
+    if (playBtn) {
+      playBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.toggleBeat();
+      });
+    }
+
+    var clearBtn = document.getElementById('beatClearBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.clearBeat();
+      });
+    }
+
+    ['beatVolume', 'vocalVolume'].forEach(function(id) {
+      var input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', function() {
+        self.applyVolumes();
+      });
+    });
+  }
+
+  /**
+   * Decode a beat / instrumental to sing over. Unlike
+   * loadAudioFile this leaves the mic running, and the
+   * key is suggested from the beat right away.
+   */
+  async loadBeatFile(file) {
+    try {
+      await this.initAudio();
+      this.stopBeat();
+
+      var arrayBuf = await file.arrayBuffer();
+      this.beatBuffer = await this.audioContext.decodeAudioData(arrayBuf);
+      this.beatName = file.name;
+      this.updateBeatUI();
+
+      // Suggest a key from the beat, unless a detection is running
+      if (!this.keyListenTimer && !this.isScanningKey) {
+        this.keyDetector.reset();
+        this.scanBeatForKey();
+      }
+
+    } catch (err) {
+      console.error('Backing track error:', err);
+      alert('Could not load backing track.');
+    }
+  }
+
+  clearBeat() {
+    this.stopBeat();
+    this.beatBuffer = null;
+    this.beatName = '';
+    this.updateBeatUI();
+  }
+
+  /**
+   * Beat play button: the mic is switched on with it, so
+   * PLAY is all it takes to sing along
+   */
+  async toggleBeat() {
+    if (this.beatSource) {
+      this.stopBeat();
+      return;
+    }
+    if (!this.beatBuffer) return;
+
+    if (!this.isListening && !this.isPlayingFile) {
+      await this.startListening();
+    }
+    this.playBeat(0, this.audioContext.currentTime, 'user');
+  }
+
+  /**
+   * Start the beat `offset` seconds in, at context time `when`
+   *
+   * owner: what started it — 'user', 'record' or 'take' —
+   * so stopping that also stops the beat
+   */
+  playBeat(offset, when, owner) {
+    this.stopBeat();
+    if (!this.beatBuffer || offset >= this.beatBuffer.duration) return;
+
+    var source = this.audioContext.createBufferSource();
+    source.buffer = this.beatBuffer;
+    source.connect(this.beatGain);
+
+    var self = this;
+    source.onended = function() {
+      // Ignore the event from a source we already stopped
+      if (self.beatSource === source) self.stopBeat();
+    };
+
+    // Negative offsets (a take starting before the beat) start it later
+    source.start(when + Math.max(0, -offset), Math.max(0, offset));
+    this.beatSource = source;
+    this.beatOwner = owner;
+    this.beatStartTime = when - offset;
+    this.updateBeatUI();
+  }
+
+  stopBeat() {
+    if (!this.beatSource) return;
+
+    var source = this.beatSource;
+    this.beatSource = null;
+    this.beatOwner = null;
+    try { source.stop(); } catch(e) {}
+    source.disconnect();
+    this.updateBeatUI();
+  }
+
+  /**
+   * Beat and vocal (processor output) levels from the inputs
+   */
+  applyVolumes() {
+    var levels = {};
+    ['beatVolume', 'vocalVolume'].forEach(function(id) {
+      var input = document.getElementById(id);
+      var value = input ? parseFloat(input.value) : NaN;
+      if (isNaN(value)) value = 100;
+      levels[id] = Math.max(0, Math.min(150, value));
+      if (input) input.value = levels[id];
+    });
+
+    if (this.beatGain) this.beatGain.gain.value = levels.beatVolume / 100;
+    if (this.vocalGain) this.vocalGain.gain.value = levels.vocalVolume / 100;
+  }
+
+  updateBeatUI() {
+    var status = document.getElementById('beatStatus');
+    if (status) {
+      status.textContent = this.beatBuffer
+        ? this.beatName + ' · ' + this.beatBuffer.duration.toFixed(1) + ' s'
+        : 'No backing track — load a beat to sing over it';
+    }
+
+    var playBtn = document.getElementById('beatPlayBtn');
+    if (playBtn) {
+      playBtn.disabled = !this.beatBuffer;
+      playBtn.textContent = this.beatSource ? 'STOP' : 'PLAY';
+    }
+
+    var clearBtn = document.getElementById('beatClearBtn');
+    if (clearBtn) clearBtn.hidden = !this.beatBuffer;
+  }
+
+  // ============================================
+  // LATENCY
+  // ============================================
+
+  initLatency() {
+    var self = this;
+    this.measuredLatency = LatencyMeter.load();
+
+    var modeSelect = document.getElementById('latencyMode');
+    if (modeSelect) {
+      modeSelect.value = this.latencyMode;
+      modeSelect.addEventListener('change', function() {
+        self.setLatencyMode(modeSelect.value);
+      });
+    }
+
+    var measureBtn = document.getElementById('measureLatencyBtn');
+    if (measureBtn) {
+      measureBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.measureLatency();
+      });
+    }
+
+    var clearBtn = document.getElementById('clearLatencyBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.measuredLatency = null;
+        LatencyMeter.save(null);
+        self.updateLatencyUI();
+      });
+    }
+
+    this.updateLatencyUI();
+  }
+
+  /**
+   * 'normal' or 'low' (WavrTuneApp.latencyModes). The
+   * detection window shrinks with the block, which narrows
+   * the range: the low end is filled in again from the voice
+   * type and the detector inputs show what is left. A running
+   * processor node is rebuilt with the new block size.
+   */
+  async setLatencyMode(mode) {
+    if (!WavrTuneApp.latencyModes[mode] || mode === this.latencyMode) return;
+    this.latencyMode = mode;
+
+    var voiceSelect = document.getElementById('voiceSelect');
+    var voice = PitchDetector.voiceTypes[voiceSelect ? voiceSelect.value : 'any'];
+    var minInput = document.getElementById('detectMin');
+    if (voice && minInput) minInput.value = voice.minFrequency;
+    this.applyDetectorParams();
+
+    if (this.processorNode) await this.rebuildProcessorNode();
+    this.updateLatencyUI();
+  }
+
+  getBlockSize() {
+    return WavrTuneApp.latencyModes[this.latencyMode].blockSize;
+  }
+
+  /**
+   * Latency figures in seconds: what the browser reports
+   * for the hardware, the delay the processor adds (one
+   * block plus the shifter's look-ahead), and the
+   * measured round trip (null if not measured)
+   */
+  getLatencyReport() {
+    var ctx = this.audioContext;
+    var track = this.mediaStream && this.mediaStream.getAudioTracks()[0];
+    var settings = track && track.getSettings ? track.getSettings() : {};
+
+    return {
+      base: ctx.baseLatency || 0,
+      output: ctx.outputLatency || 0,
+      input: settings.latency || 0,
+      block: this.getBlockSize() / ctx.sampleRate,
+      lookahead: this.pitchCorrector.getLatency() / ctx.sampleRate,
+      measured: this.measuredLatency
+    };
+  }
+
+  /**
+   * Seconds from a sample being played to the singer's answer
+   * reaching the processor: measured if possible, otherwise
+   * output + input latency as far as the browser reports it
+   */
+  getRoundTripLatency() {
+    if (this.measuredLatency !== null) return this.measuredLatency;
+
+    var report = this.getLatencyReport();
+    return report.base + report.output + report.input;
+  }
+
+  /**
+   * Loopback measurement (see LatencyMeter): clicks go out
+   * to the speakers while the mic is recorded. Monitoring is
+   * muted meanwhile so the corrected clicks don't come back.
+   */
+  async measureLatency() {
+    if (this.latencyCapture || this.isRecording) return;
+
+    if (!this.isListening) {
+      await this.startListening();
+      if (!this.isListening) return;
+    }
+    this.stopBeat();
+
+    var ctx = this.audioContext;
+    var meter = new LatencyMeter(ctx.sampleRate);
+    var probe = meter.createProbe();
+
+    var capture = new SessionRecorder(ctx.sampleRate);
+    capture.start(0);
+    this.latencyCapture = capture;
+    this.vocalGain.gain.value = 0;
+    this.postToProcessor({ type: 'record', value: true });
+    this.setLatencyStatus('Measuring — keep quiet, the mic must hear the clicks…');
+
+    var buffer = ctx.createBuffer(1, probe.signal.length, ctx.sampleRate);
+    buffer.copyToChannel(probe.signal, 0);
+    var source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(ctx.destination);
+
+    // Leave time for the first recorded block to arrive
+    var when = ctx.currentTime + 0.15;
+    source.start(when);
+
+    var wait = when - ctx.currentTime + meter.captureSeconds(probe) + 0.2;
+    await new Promise(function(resolve) { setTimeout(resolve, wait * 1000); });
+
+    source.disconnect();
+    this.latencyCapture = null;
+    this.postToProcessor({ type: 'record', value: this.isRecording });
+    this.applyVolumes();
+
+    var recording = capture.stop();
+    var latency = recording ? meter.find(recording, probe.offsets.map(function(offset) {
+      return when + offset;
+    })) : null;
+
+    if (latency === null) {
+      alert('The clicks were not heard clearly.\nTurn the speakers up (or hold the mic to the headphones) and try again.');
+    } else {
+      this.measuredLatency = latency;
+      LatencyMeter.save(latency);
+    }
+    this.updateLatencyUI();
+  }
+
+  setLatencyStatus(text) {
+    var status = document.getElementById('latencyStatus');
+    if (status) status.textContent = text;
+  }
+
+  updateLatencyUI() {
+    var clearBtn = document.getElementById('clearLatencyBtn');
+    if (clearBtn) clearBtn.hidden = this.measuredLatency === null;
+
+    if (!this.audioContext) {
+      this.setLatencyStatus(this.measuredLatency === null
+        ? 'Start to see the latency'
+        : 'Round trip ' + Math.round(this.measuredLatency * 1000) + ' ms (measured)');
+      return;
+    }
+
+    var report = this.getLatencyReport();
+    var ms = function(seconds) { return Math.round(seconds * 1000); };
+    var roundTrip = this.getRoundTripLatency();
+
+    // Low-latency mode: the window shrank with the block
+    var tradeOff = this.latencyMode === 'low'
+      ? ' · Notes below ' + this.pitchDetector.lowestFrequency() + ' Hz not detected'
+      : '';
+
+    this.setLatencyStatus(
+      'Processing ' + ms(report.block + report.lookahead) + ' ms' +
+      ' (block ' + ms(report.block) + ' + look-ahead ' + ms(report.lookahead) + ')' +
+      ' · Output ' + ms(report.base + report.output) + ' ms' +
+      ' · Input ' + ms(report.input) + ' ms' +
+      ' · Round trip ' + ms(roundTrip) + ' ms' +
+      (report.measured === null ? ' (reported)' : ' (measured)') + tradeOff);
+  }
+
+  // ============================================
+  // SESSION RECORDER
+  // ============================================
+
+  async initTakes() {
+    var self = this;
+    var recBtn = document.getElementById('recBtn');
+    if (recBtn) {
+      recBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        self.toggleRecording();
+      });
+    }
+
+    var persistent = await this.takeStore.open();
+    var status = document.getElementById('takesStatus');
+    if (status && !persistent) status.textContent = 'Takes are kept until the page is closed';
+
+    try {
+      this.takes = await this.takeStore.list();
+    } catch (err) {
+      console.error('Takes error:', err);
+    }
+    this.renderTakes();
+  }
+
+  /**
+   * Rec button: record a new take of the mic (listening starts
+   * if needed), or punch in / out while a take plays for punching
+   */
+  async toggleRecording() {
+    if (this.isRecording) {
+      await this.finishRecording();
+      return;
+    }
+    if (this.latencyCapture) return;
+
+    if (!this.isListening) {
+      await this.startListening();
+      if (!this.isListening) return;
+    }
+
+    // Sing along from the top if the beat isn't playing yet
+    if (this.beatBuffer && !this.beatSource && !this.punchTake) {
+      this.playBeat(0, this.audioContext.currentTime, 'record');
+    }
+    this.recordBeatStart = this.beatSource && !this.punchTake ? this.beatStartTime : null;
+
+    this.recorder.start(this.pitchCorrector.getLatency());
+    this.isRecording = true;
+    this.postToProcessor({ type: 'record', value: true });
+    this.updateRecordUI();
+  }
+
+  /**
+   * Stop recording and keep the result: punched into the
+   * take being played back, or as a new take
+   */
+  async finishRecording() {
+    this.isRecording = false;
+    this.postToProcessor({ type: 'record', value: false });
+    this.updateRecordUI();
+
+    var recording = this.recorder.stop();
+    if (this.beatOwner === 'record') this.stopBeat();
+    if (!recording) return;
+
+    // What the singer heard when the first block reached the
+    // processor: playback came out `latency` seconds late and
+    // the voice took as long to come in
+    var heardAt = recording.startTime - this.getRoundTripLatency();
+
+    var take = this.punchTake;
+    if (take) {
+      var punched = SessionRecorder.punch(take, recording, heardAt - this.takeStartTime);
+      take.dry = punched.dry;
+      take.wet = punched.wet;
+    } else {
+      take = SessionRecorder.createTake(recording, 'Take ' + (this.takes.length + 1));
+      if (this.recordBeatStart !== null) take.beatOffset = heardAt - this.recordBeatStart;
+      this.takes.push(take);
+    }
+
+    await this.saveTake(take);
+    this.renderTakes();
+  }
+
+  async saveTake(take) {
+    try {
+      await this.takeStore.put(take);
+    } catch (err) {
+      console.error('Take save error:', err);
+      alert('Could not save the take (storage may be full).');
+    }
+  }
+
+  /**
+   * Play a take straight to the speakers: 'wet' (tuned)
+   * or 'dry'
+   */
+  async playTake(take, which) {
+    await this.initAudio();
+    await this.stopTake();
+
+    var channels = take[which];
+    var buffer = this.audioContext.createBuffer(channels.length, channels[0].length, take.sampleRate);
+    channels.forEach(function(data, ch) {
+      buffer.copyToChannel(data, ch);
+    });
+
+    var source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.audioContext.destination);
+
+    var self = this;
+    source.onended = function() {
+      // Ignore the event from a source we already stopped
+      if (self.takeSource === source) self.stopTake();
+    };
+
+    var now = this.audioContext.currentTime;
+    this.takeSource = source;
+    this.playingTake = take;
+    source.start(now);
+    this.takeStartTime = now;
+
+    // Takes sung over the backing track play along with it
+    if (typeof take.beatOffset === 'number') this.playBeat(take.beatOffset, now, 'take');
+    this.renderTakes();
+  }
+
+  /**
+   * Stop take playback; a punch still recording is
+   * finished first
+   */
+  async stopTake() {
+    if (this.isRecording && this.punchTake) await this.finishRecording();
+    if (this.beatOwner === 'take') this.stopBeat();
+
+    if (this.takeSource) {
+      var source = this.takeSource;
+      this.takeSource = null;
+      try { source.stop(); } catch(e) {}
+      source.disconnect();
+    }
+
+    this.playingTake = null;
+    this.punchTake = null;
+    this.updateRecordUI();
+    this.renderTakes();
+  }
+
+  async togglePlayTake(take) {
+    if (this.playingTake === take && !this.punchTake) {
+      await this.stopTake();
+      return;
+    }
+
+    var sourceSelect = document.getElementById('takeSource');
+    await this.playTake(take, sourceSelect ? sourceSelect.value : 'wet');
+  }
+
+  /**
+   * Play a take (tuned) while the mic is monitored; Rec then
+   * punches in and out at the playback position
+   */
+  async togglePunch(take) {
+    if (this.punchTake === take) {
+      await this.stopTake();
+      return;
+    }
+
+    if (!this.isListening) {
+      await this.startListening();
+      if (!this.isListening) return;
+    }
+
+    await this.playTake(take, 'wet');
+    this.punchTake = take;
+    this.updateRecordUI();
+    this.renderTakes();
+  }
+
+  async renameTake(take, name) {
+    name = name.trim();
+    if (!name || name === take.name) return;
+    take.name = name;
+    await this.saveTake(take);
+  }
+
+  async deleteTake(take) {
+    if (!confirm('Delete "' + take.name + '"?')) return;
+
+    if (this.playingTake === take) await this.stopTake();
+    this.takes = this.takes.filter(function(t) { return t !== take; });
+
+    try {
+      await this.takeStore.delete(take.id);
+    } catch (err) {
+      console.error('Take delete error:', err);
+    }
+    this.renderTakes();
+  }
+
+  /**
+   * Download a take as WAV — tuned or dry as the takes
+   * selector says, in the export format. Takes sung over the
+   * backing track start where the beat does, so both line up
+   * when imported at 0.
+   */
+  exportTake(take) {
+    var sourceSelect = document.getElementById('takeSource');
+    var formatSelect = document.getElementById('exportFormat');
+    var which = sourceSelect ? sourceSelect.value : 'wet';
+    var format = formatSelect ? formatSelect.value : 'pcm16';
+
+    var channels = take[which];
+    if (typeof take.beatOffset === 'number') {
+      channels = SessionRecorder.delay(channels, Math.round(take.beatOffset * take.sampleRate));
+    }
+
+    var blob = WavEncoder.encodeBlob(channels, take.sampleRate, format);
+    this.downloadBlob(blob, take.name + (which === 'dry' ? '-dry' : '') + '.wav');
+  }
+
+  renderTakes() {
+    var list = document.getElementById('takesList');
+    if (!list) return;
+
+    var self = this;
+    list.innerHTML = '';
+
+    if (this.takes.length === 0) {
+      var empty = document.createElement('span');
+      empty.className = 'takes-empty';
+      empty.textContent = 'No takes yet — press Rec to record the mic';
+      list.appendChild(empty);
+      return;
     }
 
-    if (this.isBypassed) {
-      output.set(input);
+    this.takes.forEach(function(take) {
+      var row = document.createElement('div');
+      row.className = 'take-row';
+      row.classList.toggle('active', self.playingTake === take);
+
+      var name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'metal-input take-name';
+      name.value = take.name;
+      name.addEventListener('change', function() {
+        self.renameTake(take, name.value);
+        name.value = take.name;
+      });
+
+      var length = document.createElement('span');
+      length.className = 'take-length';
+      length.textContent = SessionRecorder.duration(take).toFixed(1) + ' s';
+
+      var playing = self.playingTake === take && !self.punchTake;
+      row.appendChild(name);
+      row.appendChild(length);
+      row.appendChild(self.takeButton(playing ? 'STOP' : 'PLAY', 'Play the take', function() {
+        self.togglePlayTake(take);
+      }));
+      row.appendChild(self.takeButton(self.punchTake === take ? 'DONE' : 'PUNCH',
+        'Play the take with the mic on — Rec punches in and out', function() {
+          self.togglePunch(take);
+        }));
+      row.appendChild(self.takeButton('WAV', 'Export the take as WAV', function() {
+        self.exportTake(take);
+      }));
+      row.appendChild(self.takeButton('✕', 'Delete the take', function() {
+        self.deleteTake(take);
+      }));
+      list.appendChild(row);
+    });
+  }
+
+  takeButton(label, title, onClick) {
+    var btn = document.createElement('button');
+    btn.className = 'mini-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', function(e) {
+      e.preventDefault();
+      onClick();
+    });
+    return btn;
+  }
+
+  /**
+   * Rec button label: Rec / Stop rec, or Punch in / Punch
+   * out while a take plays for punching
+   */
+  updateRecordUI() {
+    var btn = document.getElementById('recBtn');
+    if (!btn) return;
+
+    var label;
+    if (this.punchTake) {
+      label = this.isRecording ? 'Punch out' : 'Punch in';
     } else {
-      var corrected = this.pitchCorrector.processBuffer(input, det.frequency);
-      output.set(corrected);
+      label = this.isRecording ? 'Stop rec' : 'Rec';
+    }
+
+    btn.classList.toggle('recording', this.isRecording);
+    btn.innerHTML =
+      '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">' +
+      '<circle cx="12" cy="12" r="6"/>' +
+      '</svg>' + label;
+  }
+
+  // ============================================
+  // REAL-TIME PROCESSING
+  // ============================================
+
+  processFrame(e) {
+    var inputs = [];
+    for (var ch = 0; ch < e.inputBuffer.numberOfChannels; ch++) {
+      inputs.push(e.inputBuffer.getChannelData(ch));
+    }
+
+    // Roughly when this block started (file position for the
+    // melody, punch position for the recorder)
+    var blockStart = this.audioContext.currentTime - inputs[0].length / this.audioContext.sampleRate;
+    if (this.isPlayingFile) {
+      this.channelProcessor.setPosition(blockStart - this.fileStartTime);
+    }
+
+    var result = this.channelProcessor.process(inputs, this.isBypassed);
+    var recorder = this.latencyCapture || (this.isRecording ? this.recorder : null);
+    if (recorder) recorder.push(blockStart, inputs, result.outputs);
+
+    // A mono result goes out on every channel
+    for (ch = 0; ch < e.outputBuffer.numberOfChannels; ch++) {
+      e.outputBuffer.getChannelData(ch).set(result.outputs[Math.min(ch, result.outputs.length - 1)]);
     }
 
+    this.showDetection(result.detection, result.target);
+  }
+
+  /**
+   * Push one detection result to the visualizer + readouts
+   * Shared by the ScriptProcessor path and worklet messages
+   */
+  showDetection(det, target) {
+    var noteInfo = this.pitchDetector.frequencyToNote(det.frequency);
+    if (this.keyListenTimer) this.keyDetector.addNote(noteInfo, det.clarity);
+
     this.visualizer.pushData(det.frequency, target);
+    if (this.isPlayingFile && this.isEditorOpen()) {
+      this.pitchEditor.setPlayhead(this.audioContext.currentTime - this.fileStartTime);
+    }
     if (this.visualizer.setClarity) {
       this.visualizer.setClarity(det.clarity);
     }
@@ -642,7 +2716,7 @@ class WavrTuneApp {
     var centsInd = document.getElementById('centsIndicator');
 
     if (noteInfo && detection && detection.frequency > 0) {
-      if (noteEl) noteEl.textContent = noteInfo.note + noteInfo.octave;
+      if (noteEl) noteEl.textContent = noteInfo.label;
       if (freqEl) freqEl.textContent = detection.frequency.toFixed(1) + ' Hz';
 
       if (centsEl) {
@@ -728,6 +2802,8 @@ class WavrTuneApp {
 
   destroy() {
     this.stopListening();
+    this.stopTake();
+    this.stopBeat();
     this.stopFile();
     if (this.visualizer) this.visualizer.destroy();
     var knobs = this.knobs;
@@ -738,6 +2814,64 @@ class WavrTuneApp {
   }
 }
 
+// Note name → pitch class (C = 0)
+WavrTuneApp.noteMap = {
+  'C':0,'C#':1,'D':2,'D#':3,'E':4,'F':5,
+  'F#':6,'G':7,'G#':8,'A':9,'A#':10,'B':11
+};
+
+// Number inputs passed straight to PitchCorrector.setParams
+WavrTuneApp.noteInputs = {
+  vibratoKeep: { fallback: 0, min: 0, max: 100 },
+  vibratoRate: { fallback: 5.5, min: 1, max: 12 },
+  vibratoDepth: { fallback: 0, min: 0, max: 100 },
+  vibratoDelay: { fallback: 300, min: 0, max: 2000 },
+  hysteresis: { fallback: 15, min: 0, max: 50 },
+  minHold: { fallback: 60, min: 0, max: 500 }
+};
+
+// Low-latency mode trades the analysis window (pitches below
+// ~2 * sampleRate / blockSize go undetected) for a shorter delay
+WavrTuneApp.latencyModes = {
+  normal: { blockSize: 2048 },
+  low: { blockSize: 1024 }
+};
+
+// Pitch editor status line
+WavrTuneApp.editorHints = {
+  edit: 'Drag notes to retarget · double-click to split · Shift+click to select more',
+  locked: 'Read-only — editing needs a tuning with 12 notes per octave'
+};
+
+// Per-voice harmony inputs (id = name + voice number),
+// in Harmonizer.setVoices units
+WavrTuneApp.harmonyInputs = {
+  interval: { id: 'harmonyInterval', fallback: 2, min: -24, max: 24 },
+  level: { id: 'harmonyLevel', fallback: 0, min: 0, max: 100 },
+  pan: { id: 'harmonyPan', fallback: 0, min: -100, max: 100 },
+  formant: { id: 'harmonyFormant', fallback: 0, min: -12, max: 12 },
+  detune: { id: 'harmonyDetune', fallback: 0, min: -50, max: 50 }
+};
+
+// Scripts loaded into the AudioWorkletGlobalScope, in order.
+// The DSP classes must come before the processor that uses them.
+WavrTuneApp.workletModules = [
+  'js/tuning.js',
+  'js/fft.js',
+  'js/pitch-algorithms.js',
+  'js/pitch-detector.js',
+  'js/psola-shifter.js',
+  'js/formant-filter.js',
+  'js/scale-registry.js',
+  'js/melody-timeline.js',
+  'js/vibrato.js',
+  'js/humanizer.js',
+  'js/harmonizer.js',
+  'js/pitch-corrector.js',
+  'js/channel-processor.js',
+  'worklets/tune-processor.js'
+];
+
 // ============================================
 // BOOT
 // ============================================
@@ -0,0 +1,152 @@
+// ============================================
+// WAVR TUNE — Channel Modes
+//
+// Decides how the channels of a block are detected
+// and corrected. Shared by the AudioWorklet, the
+// ScriptProcessor fallback and the OfflineRenderer:
+// - mono:   channels are averaged and corrected as
+//           one (the output is the same on every
+//           channel)
+// - stereo: pitch is detected on the mid signal and
+//           the same shift is applied to every channel,
+//           so the stereo image stays put
+// - dual:   left and right are detected and corrected
+//           on their own (dual mono — e.g. two singers
+//           panned apart)
+//
+// Harmony voices are panned, so with harmonies on the
+// mono and stereo modes always return two channels. In
+// dual mono each side gets its own harmonies, unpanned.
+//
+// Dual mono needs a second detector + corrector for
+// the right channel. It is always kept in step with
+// the main pair, so switching modes is instant.
+// ============================================
+
+class ChannelProcessor {
+  constructor(detector, corrector) {
+    this.mode = 'mono';
+
+    // Main pair (left / mid), owned by the host
+    this.detector = detector;
+    this.corrector = corrector;
+
+    // Right channel in dual mode
+    this.rightDetector = new PitchDetector(corrector.sampleRate);
+    this.rightCorrector = new PitchCorrector(corrector.sampleRate);
+    this.rightDetector.setParams(detector.getParams());
+    this.rightCorrector.setParams(corrector.getParams());
+
+    // Mid signal of the last block (reused)
+    this.mid = null;
+  }
+
+  setMode(mode) {
+    if (ChannelProcessor.modes.indexOf(mode) === -1) return;
+    if (mode === this.mode) return;
+    this.mode = mode;
+
+    // Shifter state belongs to the old channel layout
+    this.reset();
+  }
+
+  /**
+   * PitchCorrector.setParams for both correctors
+   */
+  setParams(params) {
+    this.corrector.setParams(params);
+    this.rightCorrector.setParams(params);
+  }
+
+  /**
+   * PitchDetector.setParams for both detectors
+   */
+  setDetectorParams(params) {
+    this.detector.setParams(params);
+    this.rightDetector.setParams(params);
+  }
+
+  setPosition(seconds) {
+    this.corrector.setPosition(seconds);
+    this.rightCorrector.setPosition(seconds);
+  }
+
+  reset() {
+    this.corrector.reset();
+    this.rightCorrector.reset();
+    this.detector.reset();
+    this.rightDetector.reset();
+  }
+
+  /**
+   * Number of output channels for `inputCount` input channels
+   */
+  outputCount(inputCount) {
+    if (this.isDual(inputCount)) return 2;
+    if (this.corrector.harmonizer.isOn()) return 2;
+    return this.mode === 'mono' ? 1 : Math.min(2, inputCount);
+  }
+
+  /**
+   * Dual mono needs two input channels; a mono source
+   * is corrected as one
+   */
+  isDual(inputCount) {
+    return this.mode === 'dual' && inputCount >= 2;
+  }
+
+  /**
+   * Detect + correct one block
+   *
+   * inputs: Float32Array per channel (1 or more, same length)
+   * bypassed: pass the input through (still delayed by the
+   *           shifter latency) but keep detecting
+   *
+   * Returns {
+   *   outputs: [Float32Array],  // outputCount(inputs.length) channels,
+   *                             // overwritten by the next block
+   *   detection: { frequency, clarity },  // main (mid / left) channel
+   *   target                    // its target frequency, for display
+   * }
+   */
+  process(inputs, bypassed) {
+    if (this.isDual(inputs.length)) {
+      const left = this.run(this.detector, this.corrector, [inputs[0]], inputs[0], bypassed, 1);
+      const right = this.run(this.rightDetector, this.rightCorrector, [inputs[1]], inputs[1], bypassed, 1);
+      left.outputs.push(right.outputs[0]);
+      return left;
+    }
+
+    this.mid = PitchCorrector.reuse(this.mid, inputs[0].length);
+    const mid = PitchCorrector.downmix(inputs, this.mid);
+    const channels = this.mode === 'mono' ? [mid] : inputs.slice(0, 2);
+    return this.run(this.detector, this.corrector, channels, mid, bypassed, this.outputCount(inputs.length));
+  }
+
+  /**
+   * Bypassed blocks come back with one output per channel
+   */
+  run(detector, corrector, channels, analysis, bypassed, outputCount) {
+    const detection = detector.detect(analysis);
+    let outputs;
+    let target = detection.frequency;
+
+    if (bypassed) {
+      outputs = corrector.passThroughChannels(channels);
+      if (detection.frequency > 0) {
+        target = corrector.getTargetFrequency(detection.frequency, corrector.getScaleNotes());
+      }
+    } else {
+      outputs = corrector.processChannels(channels, detection.frequency, outputCount);
+      target = corrector.targetFrequency;
+    }
+
+    return { outputs: outputs, detection: detection, target: target };
+  }
+}
+
+ChannelProcessor.modes = ['mono', 'stereo', 'dual'];
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.ChannelProcessor = ChannelProcessor;
@@ -0,0 +1,119 @@
+// ============================================
+// WAVR TUNE — Offline Chroma Analyzer
+//
+// Pitch-class energy (chroma) of a whole decoded
+// file, frame by frame. For polyphonic audio —
+// backing tracks — where a single detected pitch
+// says little about the key:
+// 1. Hann-windowed FFT of each frame
+// 2. Every bin between minFrequency and maxFrequency
+//    adds its magnitude to the pitch class of its
+//    nearest semitone (around the concert A given)
+//
+// Like PitchAnalyzer, the loop yields to the event
+// loop every few frames so the UI stays responsive
+// and can show progress.
+// ============================================
+
+class ChromaAnalyzer {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.frameSize = 8192;   // ~6 Hz bins at 48 kHz: semitones apart from ~100 Hz
+    this.hopSize = 4096;
+    this.framesPerYield = 8;
+    this.minFrequency = 100;
+    this.maxFrequency = 4000;
+    this.minRms = 0.005;     // quieter frames get no chroma
+    this.cancelled = false;
+
+    this.fft = new FFT(this.frameSize);
+    this.window = new Float32Array(this.frameSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / this.frameSize);
+    }
+  }
+
+  /**
+   * Analyze an AudioBuffer
+   *
+   * options: {
+   *   referenceFrequency: 440,   // concert A
+   *   onProgress: fn(0..1)       // optional
+   * }
+   *
+   * Returns a Promise of frames, in time order:
+   *   [{ time: seconds (frame center), chroma: Float64Array(12)
+   *      (C = 0, null if the frame is silent), rms }]
+   * or null if cancel() was called.
+   */
+  async analyze(audioBuffer, options = {}) {
+    const frameSize = this.frameSize;
+    const input = OfflineRenderer.downmix(audioBuffer);
+    const pitchClasses = this.binPitchClasses(options.referenceFrequency || 440);
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    const frames = [];
+    let frameCount = 0;
+    this.cancelled = false;
+
+    for (let start = 0; start < input.length; start += this.hopSize) {
+      let energy = 0;
+      for (let i = 0; i < frameSize; i++) {
+        // The last frames are zero-padded to a full window
+        const x = start + i < input.length ? input[start + i] : 0;
+        energy += x * x;
+        re[i] = x * this.window[i];
+        im[i] = 0;
+      }
+      const rms = Math.sqrt(energy / frameSize);
+
+      let chroma = null;
+      if (rms >= this.minRms) {
+        this.fft.forward(re, im);
+        chroma = new Float64Array(12);
+        for (let k = 0; k < pitchClasses.length; k++) {
+          if (pitchClasses[k] < 0) continue;
+          chroma[pitchClasses[k]] += Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+        }
+      }
+
+      frames.push({
+        time: (start + frameSize / 2) / this.sampleRate,
+        chroma: chroma,
+        rms: rms
+      });
+
+      if (++frameCount % this.framesPerYield === 0) {
+        if (options.onProgress) options.onProgress(start / input.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.cancelled) return null;
+      }
+    }
+
+    if (options.onProgress) options.onProgress(1);
+    return frames;
+  }
+
+  /**
+   * Pitch class (0-11) of every FFT bin up to Nyquist,
+   * -1 outside the analyzed range
+   */
+  binPitchClasses(referenceFrequency) {
+    const bins = this.frameSize / 2;
+    const classes = new Int8Array(bins).fill(-1);
+
+    for (let k = 1; k < bins; k++) {
+      const freq = (k * this.sampleRate) / this.frameSize;
+      if (freq < this.minFrequency || freq > this.maxFrequency) continue;
+      const note = Math.round(69 + 12 * Math.log2(freq / referenceFrequency));
+      classes[k] = ((note % 12) + 12) % 12;
+    }
+    return classes;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+window.ChromaAnalyzer = ChromaAnalyzer;
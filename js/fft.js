@@ -0,0 +1,97 @@
+// ============================================
+// WAVR TUNE — Radix-2 FFT
+//
+// In-place complex FFT for power-of-two sizes,
+// with the twiddle factors and bit-reversal
+// table computed once per size. Used by
+// PitchDetector to get the autocorrelation in
+// O(N log N) instead of O(N²).
+// ============================================
+
+class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error('FFT size must be a power of two');
+    }
+    this.size = size;
+
+    // Twiddles for the largest stage; smaller stages stride through them
+    this.cos = new Float64Array(size / 2);
+    this.sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+
+    this.reversed = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+      this.reversed[i] = r;
+    }
+  }
+
+  /**
+   * Smallest power of two ≥ n
+   */
+  static nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size <<= 1;
+    return size;
+  }
+
+  /**
+   * Forward transform of (re, im), in place
+   */
+  forward(re, im) {
+    this.transform(re, im, -1);
+  }
+
+  /**
+   * Inverse transform of (re, im), in place and scaled by 1/size
+   */
+  inverse(re, im) {
+    this.transform(re, im, 1);
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      re[i] *= scale;
+      im[i] *= scale;
+    }
+  }
+
+  transform(re, im, sign) {
+    const n = this.size;
+    const reversed = this.reversed;
+
+    for (let i = 0; i < n; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+
+    for (let half = 1; half < n; half <<= 1) {
+      const stride = n / (2 * half);
+      for (let start = 0; start < n; start += 2 * half) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cos[k * stride];
+          const wi = sign * this.sin[k * stride];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.FFT = FFT;
@@ -0,0 +1,267 @@
+// ============================================
+// WAVR TUNE — LPC Formant Filter
+//
+// Keeps the vocal's spectral envelope (formants)
+// where it belongs while the pitch moves, and
+// lets the formant knob move it on its own.
+//
+// How it works:
+// 1. Linear prediction (LPC) models a block's
+//    spectral envelope as an all-pole filter 1/A(z)
+// 2. Filtering the pitch-shifted block with its own
+//    A(z) "whitens" it — only the excitation
+//    (harmonics, no formants) is left
+// 3. Re-filtering with the envelope of the ORIGINAL
+//    block puts the original formants back
+// 4. For a formant shift, that envelope is first
+//    stretched along the frequency axis, then turned
+//    back into LPC coefficients
+//
+// Reference: J. Makhoul, "Linear Prediction:
+// A Tutorial Review", Proc. IEEE 1975
+// ============================================
+
+class FormantFilter {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+
+    // Rule of thumb: 1 pole pair per kHz + 2, capped so
+    // high voices don't get their harmonics modelled
+    this.order = Math.min(40, Math.round(sampleRate / 1000) + 2);
+
+    // Envelope resolution used when warping
+    this.numBins = 256;
+
+    // Bandwidth expansion — pulls poles slightly inside
+    // the unit circle so peaks stay smooth and stable
+    this.bandwidthExpansion = 0.994;
+
+    // Filter memories (most recent sample first)
+    this.analysisHistory = new Float64Array(this.order);
+    this.synthesisHistory = new Float64Array(this.order);
+
+    this.window = null;
+    this.output = null;
+  }
+
+  /**
+   * Whiten `signal` with its own envelope, then re-color it
+   * with the envelope of `source` shifted by `semitones`
+   *
+   * Pass the same buffer twice to only shift formants
+   * (analyzed once)
+   * Returns a Float32Array of the same length, reused by
+   * the next call
+   */
+  process(signal, source, semitones) {
+    const whiten = this.analyze(signal);
+    let color = source === signal ? whiten : this.analyze(source);
+
+    if (!this.output || this.output.length !== signal.length) {
+      this.output = new Float32Array(signal.length);
+    }
+    const output = this.output;
+
+    if (!whiten || !color) {
+      this.bypass(signal);
+      output.set(signal);
+      return output;
+    }
+
+    if (Math.abs(semitones) > 0.01) {
+      color = this.warp(color, Math.pow(2, semitones / 12));
+    }
+
+    // Keep the output level equal to the input level:
+    // power gain of 1/A(z) on white noise is 1 / normalizedError
+    const gain = Math.sqrt(color.normalizedError / whiten.normalizedError);
+
+    const order = this.order;
+    const a = whiten.coeffs;
+    const c = color.coeffs;
+    const xHist = this.analysisHistory;
+    const yHist = this.synthesisHistory;
+
+    for (let n = 0; n < signal.length; n++) {
+      const x = signal[n];
+
+      // Analysis (FIR): residual = A(z) x
+      let residual = x;
+      for (let k = 1; k <= order; k++) {
+        residual += a[k] * xHist[k - 1];
+      }
+
+      // Synthesis (IIR): y = residual / C(z)
+      let y = residual * gain;
+      for (let k = 1; k <= order; k++) {
+        y -= c[k] * yHist[k - 1];
+      }
+
+      // Guard against a blown-up filter
+      if (!isFinite(y) || Math.abs(y) > 8) {
+        yHist.fill(0);
+        y = 0;
+      }
+
+      // Shift memories
+      for (let k = order - 1; k > 0; k--) {
+        xHist[k] = xHist[k - 1];
+        yHist[k] = yHist[k - 1];
+      }
+      xHist[0] = x;
+      yHist[0] = y;
+
+      output[n] = y;
+    }
+
+    return output;
+  }
+
+  /**
+   * Keep filter memories continuous across blocks
+   * that skip processing
+   */
+  bypass(signal) {
+    const order = this.order;
+    for (let k = 0; k < order; k++) {
+      const idx = signal.length - 1 - k;
+      const v = idx >= 0 ? signal[idx] : 0;
+      this.analysisHistory[k] = v;
+      this.synthesisHistory[k] = v;
+    }
+  }
+
+  /**
+   * LPC analysis of one block
+   *
+   * Returns {
+   *   coeffs: Float64Array(order + 1),  // A(z), coeffs[0] = 1
+   *   normalizedError: 0-1              // prediction error / energy
+   * }
+   * or null if the block is silent
+   */
+  analyze(frame) {
+    const order = this.order;
+    const length = frame.length;
+    const window = this.getWindow(length);
+
+    // ---- Windowed autocorrelation ----
+    const windowed = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      windowed[i] = frame[i] * window[i];
+    }
+
+    const r = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+      let sum = 0;
+      for (let i = lag; i < length; i++) {
+        sum += windowed[i] * windowed[i - lag];
+      }
+      r[lag] = sum;
+    }
+
+    if (r[0] < 1e-10) return null;
+
+    // White-noise correction keeps Levinson well conditioned
+    r[0] *= 1.0001;
+
+    const result = this.levinson(r);
+    if (!result) return null;
+
+    // ---- Bandwidth expansion ----
+    let g = 1;
+    for (let k = 1; k <= order; k++) {
+      g *= this.bandwidthExpansion;
+      result.coeffs[k] *= g;
+    }
+
+    return result;
+  }
+
+  /**
+   * Levinson-Durbin recursion: autocorrelation → A(z)
+   */
+  levinson(r) {
+    const order = this.order;
+    const a = new Float64Array(order + 1);
+    const tmp = new Float64Array(order + 1);
+    a[0] = 1;
+    let error = r[0];
+
+    for (let i = 1; i <= order; i++) {
+      let acc = r[i];
+      for (let j = 1; j < i; j++) {
+        acc += a[j] * r[i - j];
+      }
+      const k = -acc / error;
+
+      tmp.set(a);
+      for (let j = 1; j < i; j++) {
+        a[j] = tmp[j] + k * tmp[i - j];
+      }
+      a[i] = k;
+
+      error *= (1 - k * k);
+      if (error <= 0) return null;
+    }
+
+    return { coeffs: a, normalizedError: error / r[0] };
+  }
+
+  /**
+   * Stretch an envelope along the frequency axis
+   * factor > 1 moves formants up, < 1 moves them down
+   *
+   * The warped power spectrum P'(w) = P(w / factor) is
+   * sampled, turned back into an autocorrelation
+   * (inverse cosine transform), then into LPC coefficients
+   */
+  warp(envelope, factor) {
+    const order = this.order;
+    const bins = this.numBins;
+    const a = envelope.coeffs;
+    const r = new Float64Array(order + 1);
+
+    for (let b = 0; b <= bins; b++) {
+      const w = (Math.PI * b) / bins;
+      const source = Math.min(Math.PI, w / factor);
+
+      // |A(e^jw)|^2 at the source frequency
+      let re = 0;
+      let im = 0;
+      for (let k = 0; k <= order; k++) {
+        re += a[k] * Math.cos(k * source);
+        im -= a[k] * Math.sin(k * source);
+      }
+      const power = 1 / Math.max(1e-12, re * re + im * im);
+
+      // Trapezoid rule over [0, PI]
+      const weight = (b === 0 || b === bins) ? 0.5 : 1;
+      for (let lag = 0; lag <= order; lag++) {
+        r[lag] += weight * power * Math.cos(lag * w);
+      }
+    }
+
+    r[0] *= 1.0001;
+    return this.levinson(r) || envelope;
+  }
+
+  getWindow(length) {
+    if (!this.window || this.window.length !== length) {
+      this.window = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        this.window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (length - 1)));
+      }
+    }
+    return this.window;
+  }
+
+  reset() {
+    this.analysisHistory.fill(0);
+    this.synthesisHistory.fill(0);
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.FormantFilter = FormantFilter;
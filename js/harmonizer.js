@@ -0,0 +1,202 @@
+// ============================================
+// WAVR TUNE — Harmonizer
+//
+// Up to four extra voices made from the same input
+// as the corrected lead, for vocal stacks:
+// - Each voice follows the lead's shift ratio times
+//   its own interval, so it glides, wobbles and
+//   retunes together with the lead
+// - The interval is a fixed number of semitones, or
+//   a number of steps in the current key/scale (a
+//   third above stays in C major: E over C, F over D)
+// - Per voice: level, pan, formant shift and a small
+//   detune that keeps the stack from sounding phased
+//
+// Every voice has its own TD-PSOLA shifter (same
+// latency as the lead's) and formant filter.
+// PitchCorrector mixes the voices into its output.
+// ============================================
+
+class Harmonizer {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+
+    // { params, shifter, formantFilter, running }
+    this.voices = [];
+  }
+
+  /**
+   * voices: [{
+   *   mode: 'scale',    // 'scale' = steps in the key/scale,
+   *                     // 'semitones' = fixed interval
+   *   interval: 2,      // steps or semitones (negative = below)
+   *   level: 70,        // 0-100 (0 = voice off)
+   *   pan: -50,         // -100 (left) to 100 (right)
+   *   formant: 0,       // semitones
+   *   detune: 6         // cents
+   * }]
+   *
+   * At most Harmonizer.maxVoices. Voices that stay keep their
+   * shifter state, so editing a voice doesn't click.
+   */
+  setVoices(voices) {
+    this.voices = voices.slice(0, Harmonizer.maxVoices).map((params, i) => {
+      const old = this.voices[i];
+      return {
+        params: Object.assign({}, Harmonizer.defaultVoice, params),
+        shifter: old ? old.shifter : new PsolaShifter(this.sampleRate),
+        formantFilter: old ? old.formantFilter : new FormantFilter(this.sampleRate),
+        ratios: old ? old.ratios : null,
+        running: old ? old.running : false
+      };
+    });
+  }
+
+  getVoices() {
+    return this.voices.map(voice => Object.assign({}, voice.params));
+  }
+
+  /**
+   * True when at least one voice is audible
+   */
+  isOn() {
+    return this.voices.some(voice => voice.params.level > 0);
+  }
+
+  /**
+   * Pitch ratio of a voice relative to the lead
+   *
+   * target: the lead's target note (Hz, 0 = none)
+   * scaleNotes: allowed pitch classes, see
+   *   PitchCorrector.getScaleNotes
+   *
+   * Scale steps count allowed keys from the key nearest to
+   * the target. Without pitch classes (EDO / Scala tunings,
+   * every note switched off) each key is a step.
+   */
+  intervalRatio(params, target, scaleNotes, tuning) {
+    const detune = Math.pow(2, params.detune / 1200);
+    if (params.mode !== 'scale') return Math.pow(2, params.interval / 12) * detune;
+
+    const lead = tuning.nearest(target);
+    if (!lead) return detune;
+
+    const usePitchClasses = scaleNotes.length > 0 && tuning.hasPitchClasses();
+    const allowed = key => tuning.keyToFrequency(key) > 0 &&
+      (!usePitchClasses || scaleNotes.indexOf(((key % 12) + 12) % 12) !== -1);
+
+    const direction = params.interval < 0 ? -1 : 1;
+    let steps = Math.abs(Math.round(params.interval));
+    let key = lead.key;
+
+    // A scale has at least one allowed key per period
+    let searchLeft = (steps + 1) * tuning.keysPerPeriod;
+    while (steps > 0 && searchLeft-- > 0) {
+      key += direction;
+      if (allowed(key)) steps--;
+    }
+    if (steps > 0) return detune;
+
+    return (tuning.keyToFrequency(key) / lead.frequency) * detune;
+  }
+
+  /**
+   * Shift the input once per voice and add the voices
+   * into `outputs` (one channel: summed, two: panned)
+   *
+   * source: mono input block (the lead's analysis signal)
+   * period: detected pitch period in samples (0 = unvoiced)
+   * ratios: the lead's shift ratio, a number or per sample
+   * target: the lead's target note (Hz, 0 = none)
+   */
+  process(source, period, ratios, target, scaleNotes, tuning, outputs) {
+    const length = source.length;
+
+    this.voices.forEach(voice => {
+      const params = voice.params;
+      if (params.level <= 0) {
+        voice.running = false;
+        return;
+      }
+
+      // Switched back on: don't replay what was left in the shifter
+      if (!voice.running) {
+        voice.shifter.reset();
+        voice.formantFilter.reset();
+        voice.running = true;
+      }
+
+      // ---- Voice ratio = lead ratio × interval ----
+      const interval = target > 0 ? this.intervalRatio(params, target, scaleNotes, tuning) : 1;
+      if (!voice.ratios || voice.ratios.length !== length) voice.ratios = new Float32Array(length);
+      const voiceRatios = voice.ratios;
+      for (let i = 0; i < length; i++) {
+        voiceRatios[i] = (typeof ratios === 'number' ? ratios : ratios[i]) * interval;
+      }
+
+      let wet = voice.shifter.process(source, period, voiceRatios).wet;
+
+      // ---- Formant ----
+      if (Math.abs(params.formant) > 0.01) {
+        wet = voice.formantFilter.process(wet, wet, params.formant);
+      } else {
+        voice.formantFilter.bypass(wet);
+      }
+
+      // ---- Level + pan ----
+      const gains = Harmonizer.panGains(params.level / 100, params.pan / 100, outputs.length);
+      outputs.forEach((output, ch) => {
+        const gain = gains[ch];
+        for (let i = 0; i < length; i++) output[i] += wet[i] * gain;
+      });
+    });
+  }
+
+  /**
+   * Voices that aren't fed (bypass) restart from silence
+   * when they are processed again
+   */
+  stop() {
+    this.voices.forEach(voice => {
+      voice.running = false;
+    });
+  }
+
+  reset() {
+    this.voices.forEach(voice => {
+      voice.shifter.reset();
+      voice.formantFilter.reset();
+    });
+  }
+
+  /**
+   * Gain per output channel: equal-power pan (-1..1) over
+   * two channels, just the level on one
+   */
+  static panGains(level, pan, channels) {
+    if (channels < 2) return [level];
+
+    const angle = (Math.max(-1, Math.min(1, pan)) + 1) * Math.PI / 4;
+    return [level * Math.cos(angle), level * Math.sin(angle)];
+  }
+}
+
+Harmonizer.maxVoices = 4;
+
+Harmonizer.modes = {
+  scale: 'Scale steps',
+  semitones: 'Semitones'
+};
+
+Harmonizer.defaultVoice = {
+  mode: 'scale',
+  interval: 2,
+  level: 0,
+  pan: 0,
+  formant: 0,
+  detune: 0
+};
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.Harmonizer = Harmonizer;
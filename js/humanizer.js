@@ -0,0 +1,102 @@
+// ============================================
+// WAVR TUNE — Humanize
+//
+// Loosens correction the way a singer drifts on a
+// long note, instead of jittering every block:
+// - Transitions stay tight: nothing happens for
+//   the first `holdTime` of a note
+// - Then "looseness" ramps up over `rampTime`, which
+//   slows retuning, lowers correction a little and
+//   lets the target wander
+// - The wander is a random walk pulled back to zero
+//   (Ornstein-Uhlenbeck), smoothed again so it moves
+//   slowly
+//
+// Randomness comes from a seeded generator, so the
+// same seed and input always render the same.
+// ============================================
+
+class Humanizer {
+  constructor(seed = 1) {
+    this.amount = 0.3;         // 0-1 (humanize knob)
+    this.seed = seed;
+
+    this.holdTime = 0.15;      // seconds before a note loosens
+    this.rampTime = 0.5;       // seconds to full looseness
+    this.maxCents = 8;         // typical wander at amount 1 (std dev)
+    this.maxExtraSpeed = 150;  // ms added to the retune time
+    this.maxLooser = 0.25;     // share of correction given up
+    this.walkTime = 0.8;       // seconds — how slowly the wander turns
+    this.smoothTime = 0.2;     // seconds — extra smoothing of the wander
+
+    this.reset();
+  }
+
+  setSeed(seed) {
+    this.seed = seed;
+    this.reset();
+  }
+
+  reset() {
+    this.state = (this.seed >>> 0) || 1;
+    this.walk = 0;
+    this.wander = 0;
+    this.noteTime = 0;
+  }
+
+  /**
+   * Uniform in [0, 1) — mulberry32
+   */
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Standard normal (Box-Muller)
+   */
+  gaussian() {
+    const u = 1 - this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+  }
+
+  /**
+   * Advance by one block of `seconds`
+   *
+   * newNote: the correction target just changed
+   *
+   * Returns {
+   *   cents,        // offset for the target
+   *   extraSpeed,   // ms added to the retune time
+   *   correction    // factor for the correction amount (≤ 1)
+   * }
+   */
+  process(seconds, newNote) {
+    if (newNote) this.noteTime = 0;
+    this.noteTime += seconds;
+
+    // The walk keeps running between notes so each note
+    // picks up a different part of it
+    const sigma = this.maxCents * Math.sqrt(2 / this.walkTime);
+    this.walk += -this.walk * (seconds / this.walkTime) + sigma * Math.sqrt(seconds) * this.gaussian();
+    this.wander += (this.walk - this.wander) * Math.min(1, seconds / this.smoothTime);
+
+    if (this.amount <= 0) return { cents: 0, extraSpeed: 0, correction: 1 };
+
+    const looseness = this.amount *
+      Math.max(0, Math.min(1, (this.noteTime - this.holdTime) / this.rampTime));
+
+    return {
+      cents: this.wander * looseness,
+      extraSpeed: this.maxExtraSpeed * looseness,
+      correction: 1 - this.maxLooser * looseness
+    };
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.Humanizer = Humanizer;
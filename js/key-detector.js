@@ -0,0 +1,158 @@
+// ============================================
+// WAVR TUNE — Key / Scale Detection
+//
+// Krumhansl-Schmuckler key finding:
+// 1. Every detected note adds its clarity to a
+//    12-bin pitch-class histogram (C = 0); for
+//    polyphonic audio, every chroma frame
+//    (ChromaAnalyzer) adds its pitch-class shares
+// 2. The histogram is correlated against a key
+//    profile for every scale, rotated to all 12 roots
+// 3. The best correlating root + scale wins
+//
+// Major and minor use the Krumhansl-Kessler probe-tone
+// profiles. Other scales get a profile built from
+// their intervals with the same shape: tonic, fifth
+// and third strongest, other scale notes next,
+// notes outside the scale weakest.
+//
+// Reference: C. Krumhansl, "Cognitive Foundations
+// of Musical Pitch", Oxford University Press 1990
+// ============================================
+
+class KeyDetector {
+  constructor() {
+    this.histogram = new Float64Array(12);
+    this.noteCount = 0;
+
+    // Detections below this clarity are too unsure to count
+    this.minClarity = 0.5;
+
+    // Notes needed before a suggestion is made (~1 s of singing)
+    this.minNotes = 20;
+  }
+
+  /**
+   * Add one detection
+   *
+   * noteInfo: PitchDetector.frequencyToNote result (or null)
+   * clarity:  detection confidence 0-1, used as the weight
+   */
+  addNote(noteInfo, clarity) {
+    if (!noteInfo || clarity < this.minClarity) return;
+    this.histogram[noteInfo.noteIndex] += clarity;
+    this.noteCount++;
+  }
+
+  /**
+   * Add one chroma frame (12 pitch-class energies, C = 0,
+   * or null for silence). Scaled so its strongest class
+   * weighs 1, like a note with full clarity.
+   */
+  addChroma(chroma) {
+    if (!chroma) return;
+
+    let max = 0;
+    for (let pc = 0; pc < 12; pc++) max = Math.max(max, chroma[pc]);
+    if (max <= 0) return;
+
+    for (let pc = 0; pc < 12; pc++) this.histogram[pc] += chroma[pc] / max;
+    this.noteCount++;
+  }
+
+  hasEnoughData() {
+    return this.noteCount >= this.minNotes;
+  }
+
+  /**
+   * Rank every root + scale against the histogram
+   *
+   * scales: { name: [intervals] } — e.g. ScaleRegistry.toMap()
+   *
+   * Returns [{ root: 0-11, scale: name, score: -1..1 }],
+   * best first, or [] if there is not enough data
+   */
+  suggest(scales) {
+    if (!this.hasEnoughData()) return [];
+
+    const results = [];
+    Object.keys(scales).forEach(name => {
+      const profile = KeyDetector.profiles[name] || KeyDetector.profileFor(scales[name]);
+
+      for (let root = 0; root < 12; root++) {
+        const rotated = new Float64Array(12);
+        for (let pc = 0; pc < 12; pc++) {
+          rotated[pc] = profile[(pc - root + 12) % 12];
+        }
+
+        const score = KeyDetector.correlate(this.histogram, rotated);
+        // Flat profiles (chromatic) say nothing about the key
+        if (isNaN(score)) return;
+
+        results.push({ root: root, scale: name, score: score });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  reset() {
+    this.histogram.fill(0);
+    this.noteCount = 0;
+  }
+
+  /**
+   * Profile for a scale without a measured one, shaped
+   * like the Krumhansl-Kessler major profile
+   */
+  static profileFor(intervals) {
+    const profile = new Float64Array(12).fill(2.5);
+    intervals.forEach(i => { profile[i % 12] = 3.5; });
+
+    if (intervals.indexOf(4) !== -1) profile[4] = 4.4;
+    else if (intervals.indexOf(3) !== -1) profile[3] = 4.4;
+    if (intervals.indexOf(7) !== -1) profile[7] = 5.2;
+    profile[0] = 6.35;
+
+    return profile;
+  }
+
+  /**
+   * Pearson correlation (NaN if either side is flat)
+   */
+  static correlate(x, y) {
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < 12; i++) {
+      meanX += x[i] / 12;
+      meanY += y[i] / 12;
+    }
+
+    let num = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < 12; i++) {
+      const dx = x[i] - meanX;
+      const dy = y[i] - meanY;
+      num += dx * dy;
+      varX += dx * dx;
+      varY += dy * dy;
+    }
+
+    if (varX === 0 || varY === 0) return NaN;
+    return num / Math.sqrt(varX * varY);
+  }
+}
+
+// Krumhansl-Kessler probe-tone ratings, tonic first
+KeyDetector.profiles = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Scales a suggestion is picked from. Exotic scales are left
+// out: with so many candidates one of them always fits a short
+// phrase a little better than the key it is actually in
+KeyDetector.candidateScales = ['major', 'minor', 'dorian', 'mixolydian', 'pentatonic', 'minorPentatonic', 'blues'];
+
+window.KeyDetector = KeyDetector;
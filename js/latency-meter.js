@@ -0,0 +1,146 @@
+// ============================================
+// WAVR TUNE — Round-Trip Latency Meter
+//
+// Loopback measurement: a few short clicks are
+// played through the speakers while the mic is
+// recorded, and each click is looked for in the
+// recording (cross-correlation with the click).
+// The time from scheduling a click to it arriving
+// at the processor is the round trip — output,
+// air and input together — that the browser's own
+// figures (baseLatency, outputLatency) often get
+// wrong.
+//
+// The recording comes through the processor's own
+// record path (SessionRecorder, 'recorded' blocks),
+// so the result lines up takes exactly the way
+// they are time-stamped.
+//
+// The mic must hear the clicks: speakers turned
+// up, or the mic held to the headphones.
+//
+// The last measurement is kept in localStorage.
+// ============================================
+
+class LatencyMeter {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.clickCount = 4;
+    this.clickSpacing = 0.6;    // s between clicks
+    this.leadIn = 0.1;          // s before the first click
+    this.maxLatency = 0.5;      // longest round trip looked for (s)
+    this.minPeakRatio = 8;      // click peak vs. average correlation
+
+    // 4 ms Hann-windowed 2 kHz burst — short enough to
+    // time precisely, high enough for laptop speakers
+    const length = Math.round(sampleRate * 0.004);
+    this.click = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1));
+      this.click[i] = 0.5 * window * Math.sin((2 * Math.PI * 2000 * i) / sampleRate);
+    }
+  }
+
+  /**
+   * The signal to play: clicks at `offsets` seconds
+   *
+   * Returns { signal: Float32Array, offsets: [seconds] }
+   */
+  createProbe() {
+    const offsets = [];
+    for (let n = 0; n < this.clickCount; n++) {
+      offsets.push(this.leadIn + n * this.clickSpacing);
+    }
+
+    const last = offsets[offsets.length - 1];
+    const signal = new Float32Array(Math.ceil((last + 0.1) * this.sampleRate));
+    offsets.forEach(offset => {
+      signal.set(this.click, Math.round(offset * this.sampleRate));
+    });
+
+    return { signal: signal, offsets: offsets };
+  }
+
+  /**
+   * Seconds to keep recording after the probe starts,
+   * so the last click can still arrive
+   */
+  captureSeconds(probe) {
+    return probe.signal.length / this.sampleRate + this.maxLatency;
+  }
+
+  /**
+   * Find the clicks in a SessionRecorder recording
+   *
+   * times: context times the clicks were scheduled at
+   *
+   * Returns the round trip in seconds (median over the
+   * clicks found), or null if fewer than half were
+   * found or they disagree
+   */
+  find(recording, times) {
+    const input = recording.dry[0];
+    const click = this.click;
+    const maxLag = Math.round(this.maxLatency * this.sampleRate);
+    const found = [];
+
+    times.forEach(time => {
+      const from = Math.round((time - recording.startTime) * this.sampleRate);
+      if (from < 0 || from + maxLag + click.length > input.length) return;
+
+      let best = 0;
+      let bestLag = 0;
+      let sum = 0;
+      for (let lag = 0; lag < maxLag; lag++) {
+        let c = 0;
+        for (let i = 0; i < click.length; i++) c += input[from + lag + i] * click[i];
+        c = Math.abs(c);
+        sum += c;
+        if (c > best) {
+          best = c;
+          bestLag = lag;
+        }
+      }
+
+      // A click stands well clear of the room noise
+      if (best > this.minPeakRatio * (sum / maxLag)) found.push(bestLag / this.sampleRate);
+    });
+
+    const needed = Math.ceil(times.length / 2);
+    if (found.length < needed) return null;
+
+    found.sort((a, b) => a - b);
+    const median = found[found.length >> 1];
+
+    // Echoes or noise picked instead of the click scatter
+    const agreeing = found.filter(latency => Math.abs(latency - median) < 0.002);
+    return agreeing.length >= needed ? median : null;
+  }
+
+  /**
+   * Last measured round trip (seconds, null if none);
+   * without storage every session starts unmeasured
+   */
+  static load() {
+    try {
+      const saved = parseFloat(globalThis.localStorage.getItem(LatencyMeter.storageKey));
+      return isFinite(saved) ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static save(latency) {
+    try {
+      if (latency === null) {
+        globalThis.localStorage.removeItem(LatencyMeter.storageKey);
+      } else {
+        globalThis.localStorage.setItem(LatencyMeter.storageKey, String(latency));
+      }
+    } catch (e) {}
+  }
+}
+
+LatencyMeter.storageKey = 'wavrtune.latency';
+
+window.LatencyMeter = LatencyMeter;
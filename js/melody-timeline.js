@@ -0,0 +1,146 @@
+// ============================================
+// WAVR TUNE — Melody Timeline
+//
+// A target melody (usually from a MIDI file) laid
+// out against the file's playback position, so the
+// corrector can ask "which note should be sung at
+// t seconds?".
+//
+// Overlapping notes are flattened into one line:
+// a note that starts later cuts off the one
+// sounding before it, as a singer would, and that
+// note picks up again if it outlasts the newer one.
+// Of notes starting together (a chord), the
+// highest wins.
+//
+// The pitch editor uses the same timeline for its
+// per-note edits, which may also carry their own
+// correction amount and transition speed.
+// ============================================
+
+class MelodyTimeline {
+  /**
+   * notes: [{ start, end, note, correction?, speed? }] in
+   *        seconds / MIDI numbers, any order (correction and
+   *        speed are 0-100 knob values; other fields are ignored)
+   */
+  constructor(notes = []) {
+    this.segments = MelodyTimeline.flatten(notes);
+    this.lastIndex = 0;
+  }
+
+  /**
+   * Non-overlapping segments, sorted by start
+   *
+   * Sweeps the note boundaries; between two of them the
+   * sounding note that started last (highest on a tie) wins
+   */
+  static flatten(notes) {
+    const sorted = notes
+      .filter(n => n.end > n.start)
+      .sort((a, b) => a.start - b.start);
+    const times = Array.from(new Set(sorted.flatMap(n => [n.start, n.end])))
+      .sort((a, b) => a - b);
+
+    const segments = [];
+    let sounding = [];
+    let next = 0;
+    let current = null;   // note the last segment came from
+
+    for (let i = 0; i + 1 < times.length; i++) {
+      const from = times[i];
+      sounding = sounding.filter(n => n.end > from);
+      while (next < sorted.length && sorted[next].start <= from) sounding.push(sorted[next++]);
+      if (sounding.length === 0) continue;
+
+      const winner = sounding.reduce((best, n) =>
+        n.start > best.start || (n.start === best.start && n.note > best.note) ? n : best);
+
+      const prev = segments[segments.length - 1];
+      if (winner === current && prev.end === from) {
+        prev.end = times[i + 1];
+      } else {
+        const seg = MelodyTimeline.copySegment(winner);
+        seg.start = from;
+        seg.end = times[i + 1];
+        segments.push(seg);
+        current = winner;
+      }
+    }
+    return segments;
+  }
+
+  static copySegment(n) {
+    const seg = { start: n.start, end: n.end, note: n.note };
+    if (n.correction !== undefined && n.correction !== null) seg.correction = n.correction;
+    if (n.speed !== undefined && n.speed !== null) seg.speed = n.speed;
+    return seg;
+  }
+
+  /**
+   * MIDI note sounding at `time` seconds, or -1 for a rest
+   */
+  noteAt(time) {
+    const seg = this.segmentAt(time);
+    return seg ? seg.note : -1;
+  }
+
+  /**
+   * Segment sounding at `time` seconds, or null for a rest
+   */
+  segmentAt(time) {
+    const segments = this.segments;
+    if (segments.length === 0) return null;
+
+    // Playback mostly moves forward: try the last hit first
+    let i = this.lastIndex;
+    if (!(i < segments.length && segments[i].start <= time && time < segments[i].end)) {
+      i = this.search(time);
+      if (i < 0) return null;
+    }
+
+    this.lastIndex = i;
+    const seg = segments[i];
+    return time >= seg.start && time < seg.end ? seg : null;
+  }
+
+  /**
+   * Index of the last segment starting at or before `time` (-1 if none)
+   */
+  search(time) {
+    let lo = 0;
+    let hi = this.segments.length - 1;
+    let found = -1;
+
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.segments[mid].start <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  getDuration() {
+    const last = this.segments[this.segments.length - 1];
+    return last ? last.end : 0;
+  }
+
+  /**
+   * Plain copy for postMessage / getParams
+   */
+  toJSON() {
+    return this.segments.map(MelodyTimeline.copySegment);
+  }
+
+  static fromJSON(json) {
+    return new MelodyTimeline(json || []);
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.MelodyTimeline = MelodyTimeline;
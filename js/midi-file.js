@@ -0,0 +1,306 @@
+// ============================================
+// WAVR TUNE — Standard MIDI File Reader / Writer
+//
+// Reads format 0/1 .mid files into a flat list of
+// notes with start/end times in seconds, ready for
+// MelodyTimeline.
+//
+// Tempo changes (meta 0x51) from every track form
+// one tempo map, as the spec requires for format 1.
+// SMPTE time division is supported too.
+//
+// write() goes the other way: a list of notes in
+// seconds (e.g. from NoteSegmenter) becomes a
+// single-track format 0 file, optionally with
+// pitch bend carrying the sung intonation.
+//
+// Reference: MIDI 1.0 "Standard MIDI Files" spec
+// ============================================
+
+class MidiFile {
+  /**
+   * Parse an ArrayBuffer
+   *
+   * Returns {
+   *   format: 0 | 1 | 2,
+   *   trackCount,
+   *   notes: [{ start, end, note, velocity, channel, track }],  // by start
+   *   duration: seconds
+   * }
+   * Throws an Error if the data is not a usable MIDI file
+   */
+  static parse(arrayBuffer) {
+    const data = new DataView(arrayBuffer);
+    const reader = { data: data, pos: 0 };
+
+    if (MidiFile.readChunkId(reader) !== 'MThd') throw new Error('Not a MIDI file');
+    const headerLength = data.getUint32(reader.pos);
+    const format = data.getUint16(reader.pos + 4);
+    const trackCount = data.getUint16(reader.pos + 6);
+    const division = data.getUint16(reader.pos + 8);
+    reader.pos += 4 + headerLength;
+
+    // ---- Read every track into tick-stamped events ----
+    const events = [];
+    for (let t = 0; t < trackCount && reader.pos + 8 <= data.byteLength; t++) {
+      const id = MidiFile.readChunkId(reader);
+      const length = data.getUint32(reader.pos);
+      reader.pos += 4;
+      const end = Math.min(data.byteLength, reader.pos + length);
+
+      if (id === 'MTrk') {
+        MidiFile.readTrack(reader, end, t, events);
+      }
+      reader.pos = end;
+    }
+
+    // ---- Ticks → seconds ----
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const toSeconds = MidiFile.tempoMap(events, division);
+
+    // ---- Pair note on / off ----
+    const notes = [];
+    const open = {};   // 'channel:note' → stack of started notes
+    let lastTime = 0;
+
+    events.forEach(ev => {
+      const time = toSeconds(ev.tick);
+      lastTime = Math.max(lastTime, time);
+      const id = ev.channel + ':' + ev.note;
+
+      if (ev.type === 'on') {
+        const note = { start: time, end: time, note: ev.note, velocity: ev.velocity, channel: ev.channel, track: ev.track };
+        (open[id] = open[id] || []).push(note);
+        notes.push(note);
+      } else if (ev.type === 'off' && open[id] && open[id].length) {
+        open[id].shift().end = time;
+      }
+    });
+
+    // Notes never switched off last until the end of the file
+    Object.keys(open).forEach(id => {
+      open[id].forEach(note => { note.end = lastTime; });
+    });
+
+    const playable = notes.filter(n => n.end > n.start);
+    playable.sort((a, b) => a.start - b.start);
+
+    return {
+      format: format,
+      trackCount: trackCount,
+      notes: playable,
+      duration: lastTime
+    };
+  }
+
+  static readChunkId(reader) {
+    let id = '';
+    for (let i = 0; i < 4; i++) {
+      id += String.fromCharCode(reader.data.getUint8(reader.pos + i));
+    }
+    reader.pos += 4;
+    return id;
+  }
+
+  static readVarLength(reader) {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = reader.data.getUint8(reader.pos++);
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) break;
+    }
+    return value;
+  }
+
+  /**
+   * Collect note on/off and tempo events of one track
+   */
+  static readTrack(reader, end, track, events) {
+    const data = reader.data;
+    let tick = 0;
+    let running = 0;
+
+    while (reader.pos < end) {
+      tick += MidiFile.readVarLength(reader);
+      let status = data.getUint8(reader.pos);
+
+      // Running status: reuse the previous channel status byte
+      if (status < 0x80) {
+        status = running;
+      } else {
+        reader.pos++;
+      }
+
+      if (status === 0xff) {
+        // ---- Meta event ----
+        const type = data.getUint8(reader.pos++);
+        const length = MidiFile.readVarLength(reader);
+        if (type === 0x51 && length === 3) {
+          const usPerBeat = (data.getUint8(reader.pos) << 16) |
+                            (data.getUint8(reader.pos + 1) << 8) |
+                             data.getUint8(reader.pos + 2);
+          events.push({ tick: tick, order: events.length, type: 'tempo', usPerBeat: usPerBeat });
+        }
+        reader.pos += length;
+        if (type === 0x2f) break;
+
+      } else if (status === 0xf0 || status === 0xf7) {
+        // ---- SysEx: skip ----
+        reader.pos += MidiFile.readVarLength(reader);
+
+      } else {
+        // ---- Channel message ----
+        running = status;
+        const kind = status & 0xf0;
+        const channel = status & 0x0f;
+        const dataBytes = (kind === 0xc0 || kind === 0xd0) ? 1 : 2;
+        const a = data.getUint8(reader.pos);
+        const b = dataBytes === 2 ? data.getUint8(reader.pos + 1) : 0;
+        reader.pos += dataBytes;
+
+        if (kind === 0x90 && b > 0) {
+          events.push({ tick: tick, order: events.length, type: 'on', note: a, velocity: b, channel: channel, track: track });
+        } else if (kind === 0x80 || kind === 0x90) {
+          events.push({ tick: tick, order: events.length, type: 'off', note: a, channel: channel, track: track });
+        }
+      }
+    }
+  }
+
+  /**
+   * Build a tick → seconds function from the tempo events
+   * (120 BPM until the first tempo change)
+   */
+  static tempoMap(events, division) {
+    // SMPTE: negative frame rate in the high byte, ticks per frame in the low byte
+    if (division & 0x8000) {
+      const fps = 256 - (division >> 8);
+      const ticksPerFrame = division & 0xff;
+      const secondsPerTick = 1 / (fps * ticksPerFrame);
+      return tick => tick * secondsPerTick;
+    }
+
+    const ticksPerBeat = division || 480;
+    const segments = [{ tick: 0, seconds: 0, usPerBeat: 500000 }];
+
+    events.forEach(ev => {
+      if (ev.type !== 'tempo') return;
+      const last = segments[segments.length - 1];
+      const seconds = last.seconds + ((ev.tick - last.tick) * last.usPerBeat) / (ticksPerBeat * 1e6);
+      segments.push({ tick: ev.tick, seconds: seconds, usPerBeat: ev.usPerBeat });
+    });
+
+    return tick => {
+      let seg = segments[0];
+      for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) {
+        seg = segments[i];
+      }
+      return seg.seconds + ((tick - seg.tick) * seg.usPerBeat) / (ticksPerBeat * 1e6);
+    };
+  }
+
+  /**
+   * Write notes as a format 0 file
+   *
+   * notes: [{ start, end, note, velocity, bends?: [{ time, cents }] }]
+   * options: {
+   *   tempo: BPM (default 120),
+   *   ticksPerBeat: (default 480),
+   *   channel: 0-15 (default 0),
+   *   pitchBend: write each note's bends (default false),
+   *   bendRange: semitones, sent as RPN 0 (default 2)
+   * }
+   *
+   * Returns a Uint8Array
+   */
+  static write(notes, options = {}) {
+    const tempo = options.tempo || 120;
+    const ticksPerBeat = options.ticksPerBeat || 480;
+    const channel = options.channel || 0;
+    const bendRange = options.bendRange || 2;
+    const ticksPerSecond = ticksPerBeat * tempo / 60;
+    const toTick = seconds => Math.max(0, Math.round(seconds * ticksPerSecond));
+
+    // ---- Collect events as { tick, order, bytes } ----
+    // `order` sorts same-tick events: offs before bends before ons
+    const events = [];
+    const usPerBeat = Math.round(60e6 / tempo);
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x51, 3, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff] });
+
+    if (options.pitchBend) {
+      // RPN 0 (pitch bend sensitivity), then null the RPN
+      const cc = 0xb0 | channel;
+      [[101, 0], [100, 0], [6, bendRange], [38, 0], [101, 127], [100, 127]].forEach(pair => {
+        events.push({ tick: 0, order: 0, bytes: [cc, pair[0], pair[1]] });
+      });
+    }
+
+    notes.forEach(n => {
+      const on = toTick(n.start);
+      const off = Math.max(on + 1, toTick(n.end));
+      const note = Math.max(0, Math.min(127, n.note));
+      const velocity = Math.max(1, Math.min(127, n.velocity || 100));
+
+      if (options.pitchBend) {
+        // Center at the onset, then only send changes worth hearing
+        events.push({ tick: on, order: 2, bytes: MidiFile.bendBytes(channel, 0, bendRange) });
+        let lastCents = 0;
+        (n.bends || []).forEach(b => {
+          const tick = toTick(b.time);
+          if (tick <= on || tick >= off || Math.abs(b.cents - lastCents) < 5) return;
+          lastCents = b.cents;
+          events.push({ tick: tick, order: 2, bytes: MidiFile.bendBytes(channel, b.cents, bendRange) });
+        });
+      }
+
+      events.push({ tick: on, order: 3, bytes: [0x90 | channel, note, velocity] });
+      events.push({ tick: off, order: 1, bytes: [0x80 | channel, note, 0] });
+    });
+
+    events.forEach((ev, i) => { ev.index = i; });
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+    // ---- Track data ----
+    const track = [];
+    let lastTick = 0;
+    events.forEach(ev => {
+      MidiFile.pushVarLength(track, ev.tick - lastTick);
+      lastTick = ev.tick;
+      ev.bytes.forEach(b => track.push(b));
+    });
+    track.push(0, 0xff, 0x2f, 0);   // end of track
+
+    // ---- Header + track chunk ----
+    const out = new Uint8Array(14 + 8 + track.length);
+    const view = new DataView(out.buffer);
+    MidiFile.writeChunkId(out, 0, 'MThd');
+    view.setUint32(4, 6);
+    view.setUint16(8, 0);              // format 0
+    view.setUint16(10, 1);             // one track
+    view.setUint16(12, ticksPerBeat);
+    MidiFile.writeChunkId(out, 14, 'MTrk');
+    view.setUint32(18, track.length);
+    out.set(track, 22);
+    return out;
+  }
+
+  /**
+   * Pitch bend message for `cents` off the note, given the bend range
+   */
+  static bendBytes(channel, cents, bendRange) {
+    const value = Math.max(0, Math.min(16383, Math.round(8192 + cents / (bendRange * 100) * 8192)));
+    return [0xe0 | channel, value & 0x7f, (value >> 7) & 0x7f];
+  }
+
+  static pushVarLength(bytes, value) {
+    const groups = [value & 0x7f];
+    while ((value >>= 7) > 0) groups.unshift((value & 0x7f) | 0x80);
+    groups.forEach(b => bytes.push(b));
+  }
+
+  static writeChunkId(out, pos, id) {
+    for (let i = 0; i < 4; i++) out[pos + i] = id.charCodeAt(i);
+  }
+}
+
+window.MidiFile = MidiFile;
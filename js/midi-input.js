@@ -0,0 +1,132 @@
+// ============================================
+// WAVR TUNE — MIDI Input
+//
+// Tracks which notes are held on any connected
+// MIDI keyboard (all inputs, all channels), so the
+// corrector can snap to them instead of the scale.
+//
+// Handles note on/off, the sustain pedal (CC 64)
+// and all-notes-off (CC 123). Inputs plugged in
+// after connect() are picked up automatically.
+//
+// For testing without hardware, pass a fake
+// requestAccess that resolves to an object with
+// an `inputs` Map, or call handleMessage() with
+// raw MIDI bytes directly.
+// ============================================
+
+class MidiInput {
+  /**
+   * options: {
+   *   requestAccess: fn() → Promise<MIDIAccess>  // default navigator.requestMIDIAccess
+   * }
+   */
+  constructor(options = {}) {
+    this.requestAccess = options.requestAccess || (() => navigator.requestMIDIAccess());
+    this.access = null;
+
+    this.held = [];        // keys physically down
+    this.sustained = [];   // keys released while the pedal is down
+    this.pedalDown = false;
+
+    // Called with the sorted held notes whenever they change
+    this.onChange = null;
+
+    this.boundMessage = (e) => this.handleMessage(e.data);
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+  }
+
+  /**
+   * Ask for MIDI access and listen to every input
+   * Returns the number of inputs found
+   */
+  async connect() {
+    this.access = await this.requestAccess();
+    this.attachInputs();
+
+    this.access.onstatechange = () => this.attachInputs();
+    return this.access.inputs.size;
+  }
+
+  disconnect() {
+    if (this.access) {
+      this.access.inputs.forEach(input => { input.onmidimessage = null; });
+      this.access.onstatechange = null;
+      this.access = null;
+    }
+    this.allNotesOff();
+  }
+
+  attachInputs() {
+    this.access.inputs.forEach(input => { input.onmidimessage = this.boundMessage; });
+  }
+
+  isConnected() {
+    return !!this.access;
+  }
+
+  /**
+   * Process one raw MIDI message (Uint8Array or array of bytes)
+   */
+  handleMessage(data) {
+    const status = data[0] & 0xf0;
+    const note = data[1];
+    const value = data[2];
+
+    if (status === 0x90 && value > 0) {
+      this.noteOn(note);
+    } else if (status === 0x80 || (status === 0x90 && value === 0)) {
+      this.noteOff(note);
+    } else if (status === 0xb0 && note === 64) {
+      this.setPedal(value >= 64);
+    } else if (status === 0xb0 && note === 123) {
+      this.allNotesOff();
+    }
+  }
+
+  noteOn(note) {
+    if (this.held.indexOf(note) === -1) this.held.push(note);
+    this.sustained = this.sustained.filter(n => n !== note);
+    this.notify();
+  }
+
+  noteOff(note) {
+    this.held = this.held.filter(n => n !== note);
+    if (this.pedalDown && this.sustained.indexOf(note) === -1) {
+      this.sustained.push(note);
+    }
+    this.notify();
+  }
+
+  setPedal(down) {
+    this.pedalDown = down;
+    if (!down && this.sustained.length > 0) {
+      this.sustained = [];
+      this.notify();
+    }
+  }
+
+  allNotesOff() {
+    this.held = [];
+    this.sustained = [];
+    this.pedalDown = false;
+    this.notify();
+  }
+
+  /**
+   * Notes sounding right now (held or sustained), ascending
+   */
+  getNotes() {
+    const notes = this.held.concat(this.sustained.filter(n => this.held.indexOf(n) === -1));
+    return notes.sort((a, b) => a - b);
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this.getNotes());
+  }
+}
+
+window.MidiInput = MidiInput;
@@ -0,0 +1,117 @@
+// ============================================
+// WAVR TUNE — Note Segmentation (audio → MIDI)
+//
+// Turns a PitchAnalyzer pitch track into notes:
+// 1. Frames that are quiet or unclear are unvoiced
+// 2. Consecutive voiced frames within a semitone
+//    (plus some hysteresis) of the note's median
+//    pitch are merged into one note
+// 3. A new note starts on a pitch change, after a
+//    rest longer than maxGap, or on an onset — a
+//    sudden jump in level on the same pitch
+//    (re-sung syllable)
+// 4. Notes shorter than minDuration are dropped
+//
+// Each note keeps its per-frame deviation from the
+// rounded pitch, which MidiFile.write can turn into
+// pitch bend.
+// ============================================
+
+class NoteSegmenter {
+  constructor(options = {}) {
+    this.minClarity = options.minClarity || 0.6;
+    this.minRms = options.minRms || 0.003;            // ~ -50 dBFS
+    this.hysteresisCents = options.hysteresisCents || 30;
+    this.minDuration = options.minDuration || 0.06;   // seconds
+    this.maxGap = options.maxGap || 0.05;             // seconds of dropout bridged
+    this.onsetRatio = options.onsetRatio || 2;        // level jump (x2 ≈ +6 dB)
+    this.referenceFrequency = options.referenceFrequency || 440;
+  }
+
+  /**
+   * frames: [{ time, frequency, clarity, rms }] from PitchAnalyzer
+   *
+   * Returns [{
+   *   start, end,          // seconds
+   *   note,                // MIDI note number (12-TET at referenceFrequency)
+   *   pitch,               // median sung pitch, fractional MIDI number
+   *   velocity,            // 1-127, from the note's peak level
+   *   bends: [{ time, cents }]  // deviation from `note`
+   * }]
+   */
+  segment(frames) {
+    const notes = [];
+    const hop = frames.length > 1 ? frames[1].time - frames[0].time : 0.02;
+    let current = null;
+    let prevRms = 0;
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+      const voiced = frame.frequency > 0 &&
+                     frame.clarity >= this.minClarity &&
+                     frame.rms >= this.minRms;
+      const pitch = voiced ? 69 + 12 * Math.log2(frame.frequency / this.referenceFrequency) : 0;
+
+      if (current) {
+        const center = NoteSegmenter.median(current.pitches);
+        const sameNote = voiced && Math.abs(pitch - center) <= 0.5 + this.hysteresisCents / 100;
+        const onset = voiced && prevRms > 0 && frame.rms > prevRms * this.onsetRatio;
+
+        if (sameNote && !onset) {
+          this.extend(current, frame, pitch);
+        } else if (!voiced && frame.time - current.lastVoiced <= this.maxGap) {
+          // Short dropout — keep the note open
+        } else {
+          this.close(current, hop, notes);
+          current = null;
+        }
+      }
+
+      if (!current && voiced) {
+        current = { start: frame.time - hop / 2, pitches: [], frames: [], peakRms: 0, lastVoiced: frame.time };
+        this.extend(current, frame, pitch);
+      }
+
+      prevRms = voiced ? frame.rms : 0;
+    }
+
+    if (current) this.close(current, hop, notes);
+    return notes;
+  }
+
+  extend(current, frame, pitch) {
+    current.pitches.push(pitch);
+    current.frames.push({ time: frame.time, pitch: pitch });
+    current.peakRms = Math.max(current.peakRms, frame.rms);
+    current.lastVoiced = frame.time;
+  }
+
+  close(current, hop, notes) {
+    const end = current.lastVoiced + hop / 2;
+    if (end - current.start < this.minDuration) return;
+
+    const pitch = NoteSegmenter.median(current.pitches);
+    const note = Math.round(pitch);
+
+    // -60 dBFS → 1, 0 dBFS → 127
+    const db = 20 * Math.log10(Math.max(1e-6, current.peakRms));
+    const velocity = Math.max(1, Math.min(127, Math.round(127 * (1 + db / 60))));
+
+    notes.push({
+      start: current.start,
+      end: end,
+      note: note,
+      pitch: pitch,
+      velocity: velocity,
+      bends: current.frames.map(f => ({ time: f.time, cents: (f.pitch - note) * 100 }))
+    });
+  }
+
+  static median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+}
+
+window.NoteSegmenter = NoteSegmenter;
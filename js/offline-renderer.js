@@ -0,0 +1,141 @@
+// ============================================
+// WAVR TUNE — Offline Renderer
+//
+// Runs a decoded file through PitchDetector +
+// PitchCorrector in a plain JS frame loop, much
+// faster than real time, and returns the tuned
+// audio for export.
+//
+// Uses the same DSP classes and channel mode
+// (ChannelProcessor) as the AudioWorklet, and the
+// block size playback uses (options.blockSize —
+// smaller in low-latency mode), so the render
+// matches playback.
+// The loop yields to the event loop every few
+// blocks to keep the UI responsive and report
+// progress.
+// ============================================
+
+class OfflineRenderer {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.blockSize = 2048;
+    this.blocksPerYield = 16;
+    this.cancelled = false;
+  }
+
+  /**
+   * Render an AudioBuffer
+   *
+   * options: {
+   *   params: {...},          // PitchCorrector.setParams snapshot
+   *   detector: {...},        // PitchDetector.setParams, optional
+   *   channelMode: 'mono' | 'stereo' | 'dual',  // default 'mono'
+   *   automation: ParamAutomation,  // optional, replayed by time
+   *   blockSize: samples,     // default this.blockSize (2048)
+   *   onProgress: fn(0..1)    // optional
+   * }
+   *
+   * Returns a Promise of Float32Array[] (one per output channel),
+   * or null if cancel() was called.
+   */
+  async render(audioBuffer, options = {}) {
+    const sampleRate = this.sampleRate;
+    const blockSize = options.blockSize || this.blockSize;
+    const length = audioBuffer.length;
+
+    const detector = new PitchDetector(sampleRate);
+    const corrector = new PitchCorrector(sampleRate);
+    const channels = new ChannelProcessor(detector, corrector);
+    channels.setMode(options.channelMode || 'mono');
+    if (options.params) channels.setParams(options.params);
+    if (options.detector) channels.setDetectorParams(options.detector);
+
+    // Stereo modes use the first two channels; mono takes
+    // the whole mix
+    const inputs = channels.mode === 'mono'
+      ? [OfflineRenderer.downmix(audioBuffer)]
+      : [0, 1].slice(0, Math.min(2, audioBuffer.numberOfChannels)).map(ch => audioBuffer.getChannelData(ch));
+    const outputs = Array.from({ length: channels.outputCount(inputs.length) }, () => new Float32Array(length));
+
+    const points = options.automation ? options.automation.getPoints() : [];
+    let pointIndex = 0;
+
+    // The shifter delays its output; run that many extra
+    // samples and drop them from the front
+    const latency = corrector.getLatency();
+    const total = length + latency;
+
+    const blocks = inputs.map(() => new Float32Array(blockSize));
+    let blockCount = 0;
+    this.cancelled = false;
+
+    for (let start = 0; start < total; start += blockSize) {
+      // Apply automation points due at this block
+      const blockTime = start / sampleRate;
+      while (pointIndex < points.length && points[pointIndex].time <= blockTime) {
+        const p = {};
+        p[points[pointIndex].param] = points[pointIndex].value;
+        channels.setParams(p);
+        pointIndex++;
+      }
+
+      // Blocks past the end are zero-padded to a full window
+      blocks.forEach((block, ch) => {
+        block.fill(0);
+        if (start < length) {
+          block.set(inputs[ch].subarray(start, Math.min(length, start + blockSize)));
+        }
+      });
+
+      // Melody notes are looked up by file position
+      channels.setPosition(start / sampleRate);
+
+      const corrected = channels.process(blocks, false).outputs;
+
+      // A mono block goes out on every channel
+      outputs.forEach((output, ch) => {
+        this.copyAligned(corrected[Math.min(ch, corrected.length - 1)], start - latency, output);
+      });
+
+      if (++blockCount % this.blocksPerYield === 0) {
+        if (options.onProgress) options.onProgress(start / total);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.cancelled) return null;
+      }
+    }
+
+    if (options.onProgress) options.onProgress(1);
+    return outputs;
+  }
+
+  /**
+   * Write a processed block into `output` at `offset`,
+   * clipping whatever falls outside it
+   */
+  copyAligned(block, offset, output) {
+    const from = Math.max(0, -offset);
+    const to = Math.min(block.length, output.length - offset);
+    if (to > from) {
+      output.set(block.subarray(from, to), offset + from);
+    }
+  }
+
+  /**
+   * Average all channels to mono — the same PitchCorrector.downmix
+   * the realtime chain analyzes (and, in mono mode, corrects)
+   */
+  static downmix(audioBuffer) {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      channels.push(audioBuffer.getChannelData(ch));
+    }
+    return PitchCorrector.downmix(channels);
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+window.OfflineRenderer = OfflineRenderer;
@@ -0,0 +1,75 @@
+// ============================================
+// WAVR TUNE — Parameter Automation Lane
+//
+// Records corrector parameter moves against the
+// playback position of the loaded file, so an
+// offline render can replay them exactly.
+//
+// Recording "latches": moving a parameter at time t
+// replaces whatever was recorded for that parameter
+// from t onwards. The first move of a parameter also
+// anchors its previous value at t = 0, so the start
+// of the file keeps the setting it was heard with.
+//
+// Only the knob-style parameters in
+// ParamAutomation.params are recorded. Key, scale,
+// tuning, MIDI notes, melody, edits and harmony are
+// settings of the whole render, not moves in time.
+// ============================================
+
+class ParamAutomation {
+  constructor() {
+    // Sorted by time: { time: seconds, param: 'speed', value: 40 }
+    this.points = [];
+  }
+
+  /**
+   * Record a set of parameter changes
+   *
+   * time:     file position in seconds
+   * params:   { param: value } as passed to PitchCorrector.setParams
+   *           (anything not in ParamAutomation.params is ignored)
+   * previous: the automatable parameters in effect before this
+   *           change (PitchCorrector.getKnobParams)
+   */
+  record(time, params, previous) {
+    Object.keys(params).forEach(param => {
+      const value = params[param];
+      if (value === undefined || ParamAutomation.params.indexOf(param) === -1) return;
+
+      const hasPoints = this.points.some(p => p.param === param);
+      if (!hasPoints && previous && previous[param] !== undefined && time > 0) {
+        this.points.push({ time: 0, param: param, value: previous[param] });
+      }
+
+      this.points = this.points.filter(p => p.param !== param || p.time < time);
+      this.points.push({ time: time, param: param, value: value });
+    });
+
+    this.points.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Points sorted by time (read-only use)
+   */
+  getPoints() {
+    return this.points;
+  }
+
+  isEmpty() {
+    return this.points.length === 0;
+  }
+
+  clear() {
+    this.points = [];
+  }
+}
+
+// PitchCorrector.setParams names that can be automated
+ParamAutomation.params = [
+  'correction', 'speed', 'transition', 'humanize', 'formant', 'mix',
+  'hysteresis', 'minHold',
+  'vibratoKeep', 'vibratoRate', 'vibratoDepth', 'vibratoDelay'
+];
+
+window.ParamAutomation = ParamAutomation;
@@ -0,0 +1,589 @@
+// ============================================
+// WAVR TUNE — Pitch Detection Algorithms
+//
+// PitchDetector delegates the actual estimate to
+// one of these. Every algorithm has the same shape:
+//   detect(buffer) → { frequency, clarity }
+//     frequency: Hz (-1 if none), clarity: 0-1
+//   observeSilence()  — a block too quiet to analyze
+//   reset()           — forget any tracking state
+// and looks for periods up to 1 / minFrequency.
+// Pitches above maxFrequency are still found, then
+// rejected, so they don't fold onto a lower octave.
+//
+// - YIN: cumulative mean normalized difference,
+//   first dip under a threshold. The default
+// - pYIN: YIN over many thresholds gives several
+//   weighted candidates per block; an HMM over
+//   pitch + voicing picks the most likely path,
+//   which avoids most octave jumps
+// - MPM (McLeod Pitch Method): normalized square
+//   difference, first peak close to the highest
+// - Autocorrelation: highest normalized peak, with
+//   a small cost for longer lags
+//
+// The correlation they share is computed through an
+// FFT (O(N log N)) or directly (O(N²)), see `method`.
+//
+// References:
+// - de Cheveigné & Kawahara, "YIN, a fundamental
+//   frequency estimator for speech and music" (2002)
+// - Mauch & Dixon, "pYIN: a fundamental frequency
+//   estimator using probabilistic threshold
+//   distributions" (2014)
+// - McLeod & Wyvill, "A smarter way to find pitch" (2005)
+// ============================================
+
+class PitchAlgorithm {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.minFrequency = 50;     // Hz — lowest pitch searched
+    this.maxFrequency = 1200;   // Hz — highest pitch searched
+    this.method = 'fft';        // correlation: 'fft' or 'direct'
+    this.fft = null;
+  }
+
+  detect(buffer) {
+    return { frequency: -1, clarity: 0 };
+  }
+
+  observeSilence() {}
+
+  reset() {}
+
+  /**
+   * Lags to search for a half-window of `halfBuffer` samples
+   * (from the shortest, see the header)
+   */
+  lagRange(halfBuffer) {
+    return {
+      min: 2,
+      max: Math.min(halfBuffer - 2, Math.ceil(this.sampleRate / this.minFrequency))
+    };
+  }
+
+  inRange(frequency) {
+    return frequency >= this.minFrequency && frequency <= this.maxFrequency;
+  }
+
+  /**
+   * Cross-correlation of the first half-window with the
+   * buffer, plus the energy of each shifted half-window:
+   *   this.correlation[τ] = Σ x[i]·x[i+τ]
+   *   this.energy[τ]      = Σ x[i+τ]²      (i < halfBuffer)
+   *
+   * Correlating through one FFT size ≥ the buffer length
+   * never wraps around for lags below halfBuffer.
+   */
+  correlate(buffer, halfBuffer) {
+    if (!this.correlation || this.correlation.length !== halfBuffer) {
+      this.correlation = new Float64Array(halfBuffer);
+      this.energy = new Float64Array(halfBuffer);
+    }
+    const correlation = this.correlation;
+
+    if (this.method === 'direct') {
+      for (let tau = 0; tau < halfBuffer; tau++) {
+        let sum = 0;
+        for (let i = 0; i < halfBuffer; i++) sum += buffer[i] * buffer[i + tau];
+        correlation[tau] = sum;
+      }
+    } else {
+      this.correlateFft(buffer, halfBuffer);
+    }
+
+    // Energy of the sliding half-window, as a running sum
+    const energy = this.energy;
+    let sliding = 0;
+    for (let i = 0; i < halfBuffer; i++) sliding += buffer[i] * buffer[i];
+    energy[0] = sliding;
+    for (let tau = 1; tau < halfBuffer; tau++) {
+      const out = buffer[tau - 1];
+      const into = buffer[tau + halfBuffer - 1];
+      sliding += into * into - out * out;
+      energy[tau] = sliding;
+    }
+  }
+
+  correlateFft(buffer, halfBuffer) {
+    const size = FFT.nextPowerOfTwo(buffer.length);
+    if (!this.fft || this.fft.size !== size) {
+      this.fft = new FFT(size);
+      this.windowRe = new Float64Array(size);
+      this.windowIm = new Float64Array(size);
+      this.signalRe = new Float64Array(size);
+      this.signalIm = new Float64Array(size);
+    }
+    const wRe = this.windowRe, wIm = this.windowIm;
+    const sRe = this.signalRe, sIm = this.signalIm;
+
+    wRe.fill(0);
+    wIm.fill(0);
+    sRe.fill(0);
+    sIm.fill(0);
+    for (let i = 0; i < halfBuffer; i++) wRe[i] = buffer[i];
+    for (let i = 0; i < buffer.length; i++) sRe[i] = buffer[i];
+
+    this.fft.forward(wRe, wIm);
+    this.fft.forward(sRe, sIm);
+
+    // conj(window) · signal → correlation (kept in signal)
+    for (let k = 0; k < size; k++) {
+      const re = wRe[k] * sRe[k] + wIm[k] * sIm[k];
+      const im = wRe[k] * sIm[k] - wIm[k] * sRe[k];
+      sRe[k] = re;
+      sIm[k] = im;
+    }
+    this.fft.inverse(sRe, sIm);
+
+    for (let tau = 0; tau < halfBuffer; tau++) this.correlation[tau] = sRe[tau];
+  }
+
+  /**
+   * Sub-sample position of the extremum at `index`
+   * (parabola through it and its neighbours)
+   */
+  static parabolic(values, index, length) {
+    if (index < 1 || index + 1 >= length) return index;
+    const s0 = values[index - 1];
+    const s1 = values[index];
+    const s2 = values[index + 1];
+    const denom = 2 * (2 * s1 - s2 - s0);
+    return denom !== 0 ? index + (s2 - s0) / denom : index;
+  }
+}
+
+// ============================================
+// YIN
+// ============================================
+
+class YinAlgorithm extends PitchAlgorithm {
+  constructor(sampleRate) {
+    super(sampleRate);
+    this.threshold = 0.15;   // lower = more selective
+    this.yinBuffer = new Float32Array(1024);
+  }
+
+  detect(buffer) {
+    const halfBuffer = Math.floor(buffer.length / 2);
+    this.normalizedDifference(buffer, halfBuffer);
+
+    const yinBuffer = this.yinBuffer;
+    const range = this.lagRange(halfBuffer);
+
+    // Find the first dip below the threshold,
+    // then walk forward to find the true minimum
+    let tauEstimate = -1;
+    for (let tau = range.min; tau <= range.max; tau++) {
+      if (yinBuffer[tau] < this.threshold) {
+        while (tau + 1 < halfBuffer && yinBuffer[tau + 1] < yinBuffer[tau]) {
+          tau++;
+        }
+        tauEstimate = tau;
+        break;
+      }
+    }
+
+    if (tauEstimate === -1) {
+      return { frequency: -1, clarity: 0 };
+    }
+
+    const betterTau = PitchAlgorithm.parabolic(yinBuffer, tauEstimate, halfBuffer);
+    const frequency = this.sampleRate / betterTau;
+    if (!this.inRange(frequency)) return { frequency: -1, clarity: 0 };
+
+    return {
+      frequency: frequency,
+      clarity: 1 - yinBuffer[tauEstimate]
+    };
+  }
+
+  /**
+   * Fill yinBuffer with the cumulative mean normalized
+   * difference (1 at lag 0, dips at the period)
+   */
+  normalizedDifference(buffer, halfBuffer) {
+    if (this.yinBuffer.length < halfBuffer) {
+      this.yinBuffer = new Float32Array(halfBuffer);
+    }
+    const yinBuffer = this.yinBuffer;
+
+    // ---- Difference function ----
+    // For each lag tau, the squared difference between
+    // the signal and its shifted version
+    if (this.method === 'direct') {
+      for (let tau = 0; tau < halfBuffer; tau++) {
+        yinBuffer[tau] = 0;
+        for (let i = 0; i < halfBuffer; i++) {
+          const delta = buffer[i] - buffer[i + tau];
+          yinBuffer[tau] += delta * delta;
+        }
+      }
+    } else {
+      // d(τ) = Σx[i]² + Σx[i+τ]² − 2·Σx[i]·x[i+τ]
+      this.correlate(buffer, halfBuffer);
+      const windowEnergy = this.energy[0];
+      for (let tau = 0; tau < halfBuffer; tau++) {
+        yinBuffer[tau] = Math.max(0, windowEnergy + this.energy[tau] - 2 * this.correlation[tau]);
+      }
+    }
+
+    // ---- Cumulative mean normalization ----
+    // Keeps the function from always choosing tau = 0
+    yinBuffer[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau < halfBuffer; tau++) {
+      runningSum += yinBuffer[tau];
+      yinBuffer[tau] = runningSum > 0 ? yinBuffer[tau] * tau / runningSum : 1;
+    }
+  }
+}
+
+// ============================================
+// pYIN
+// ============================================
+
+class PyinAlgorithm extends YinAlgorithm {
+  constructor(sampleRate) {
+    super(sampleRate);
+    this.binCents = 20;          // HMM pitch resolution
+    this.maxStep = 25;           // bins a note may glide per block
+    this.jumpProbability = 0.01; // per block, to anywhere (note leaps)
+    this.switchProbability = 0.02; // per block, voiced ↔ unvoiced
+    this.absentWeight = 0.01;    // candidate weight when no dip passes a threshold
+    this.states = null;
+  }
+
+  reset() {
+    this.states = null;
+  }
+
+  /**
+   * Candidates from the YIN troughs: each threshold picks
+   * the first trough under it and lends it its prior weight
+   *
+   * Returns [{ tau, probability, value }]
+   */
+  candidates(halfBuffer) {
+    const yinBuffer = this.yinBuffer;
+    const range = this.lagRange(halfBuffer);
+
+    const troughs = [];
+    for (let tau = range.min; tau <= range.max; tau++) {
+      if (yinBuffer[tau] < yinBuffer[tau - 1] && yinBuffer[tau] <= yinBuffer[tau + 1]) {
+        troughs.push({ tau: tau, probability: 0, value: yinBuffer[tau] });
+      }
+    }
+    if (troughs.length === 0) return troughs;
+
+    let lowest = troughs[0];
+    troughs.forEach(t => { if (t.value < lowest.value) lowest = t; });
+
+    const thresholds = PyinAlgorithm.thresholds;
+    const weights = PyinAlgorithm.thresholdWeights;
+    for (let i = 0; i < thresholds.length; i++) {
+      const hit = troughs.find(t => t.value < thresholds[i]);
+      if (hit) {
+        hit.probability += weights[i];
+      } else {
+        lowest.probability += weights[i] * this.absentWeight;
+      }
+    }
+
+    return troughs.filter(t => t.probability > 0);
+  }
+
+  detect(buffer) {
+    const halfBuffer = Math.floor(buffer.length / 2);
+    this.normalizedDifference(buffer, halfBuffer);
+
+    // Out-of-range candidates count towards unvoiced
+    const candidates = this.candidates(halfBuffer).filter(c => {
+      c.frequency = this.sampleRate / PitchAlgorithm.parabolic(this.yinBuffer, c.tau, halfBuffer);
+      return this.inRange(c.frequency);
+    });
+
+    const bin = this.step(candidates);
+    if (bin < 0) return { frequency: -1, clarity: 0 };
+
+    // Report the candidate the path went through
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(c => {
+      const distance = Math.abs(this.binOf(c.frequency) - bin);
+      if (distance < bestDistance) {
+        best = c;
+        bestDistance = distance;
+      }
+    });
+    if (!best || bestDistance * this.binCents > 100) return { frequency: -1, clarity: 0 };
+
+    return { frequency: best.frequency, clarity: 1 - best.value };
+  }
+
+  observeSilence() {
+    this.step([]);
+  }
+
+  binCount() {
+    return Math.ceil(1200 * Math.log2(this.maxFrequency / this.minFrequency) / this.binCents) + 1;
+  }
+
+  binOf(frequency) {
+    return 1200 * Math.log2(frequency / this.minFrequency) / this.binCents;
+  }
+
+  /**
+   * One forward step of the HMM (filtering only, so no
+   * extra latency). States 0..n-1 are voiced pitches,
+   * n..2n-1 the same pitches unvoiced (remembered
+   * through rests).
+   *
+   * Returns the most likely voiced bin, or -1 if the most
+   * likely state is unvoiced
+   */
+  step(candidates) {
+    const n = this.binCount();
+    if (!this.states || this.states.length !== 2 * n) {
+      this.states = new Float64Array(2 * n).fill(1 / (2 * n));
+      this.predicted = new Float64Array(2 * n);
+      this.kernel = PyinAlgorithm.triangle(this.maxStep);
+    }
+    const states = this.states;
+    const predicted = this.predicted;
+    const kernel = this.kernel;
+    const steps = this.maxStep;
+
+    // ---- Predict: glide within maxStep, or jump anywhere ----
+    let voicedTotal = 0;
+    let unvoicedTotal = 0;
+    for (let j = 0; j < n; j++) {
+      voicedTotal += states[j];
+      unvoicedTotal += states[n + j];
+    }
+    const stay = 1 - this.switchProbability;
+    for (let j = 0; j < n; j++) {
+      let voiced = 0;
+      let unvoiced = 0;
+      for (let d = -steps; d <= steps; d++) {
+        const k = j + d;
+        if (k < 0 || k >= n) continue;
+        const w = kernel[d + steps];
+        voiced += states[k] * w;
+        unvoiced += states[n + k] * w;
+      }
+      voiced = (1 - this.jumpProbability) * voiced + this.jumpProbability * voicedTotal / n;
+      unvoiced = (1 - this.jumpProbability) * unvoiced + this.jumpProbability * unvoicedTotal / n;
+      predicted[j] = stay * voiced + this.switchProbability * unvoiced;
+      predicted[n + j] = stay * unvoiced + this.switchProbability * voiced;
+    }
+
+    // ---- Observe: candidate weight on its bin, the rest unvoiced ----
+    let candidateTotal = 0;
+    candidates.forEach(c => { candidateTotal += c.probability; });
+    const unvoicedLikelihood = Math.max(1e-9, 1 - candidateTotal) / n;
+
+    for (let j = 0; j < n; j++) {
+      states[j] = predicted[j] * 1e-9;
+      states[n + j] = predicted[n + j] * unvoicedLikelihood;
+    }
+    candidates.forEach(c => {
+      const j = Math.round(this.binOf(c.frequency));
+      if (j >= 0 && j < n) states[j] += predicted[j] * c.probability;
+    });
+
+    // ---- Normalize and pick ----
+    let total = 0;
+    for (let j = 0; j < 2 * n; j++) total += states[j];
+    let best = 0;
+    for (let j = 0; j < 2 * n; j++) {
+      states[j] /= total;
+      if (states[j] > states[best]) best = j;
+    }
+    return best < n ? best : -1;
+  }
+
+  /**
+   * Normalized triangular weights for offsets -width..width
+   */
+  static triangle(width) {
+    const weights = new Float64Array(2 * width + 1);
+    let sum = 0;
+    for (let d = -width; d <= width; d++) {
+      weights[d + width] = width + 1 - Math.abs(d);
+      sum += weights[d + width];
+    }
+    for (let i = 0; i < weights.length; i++) weights[i] /= sum;
+    return weights;
+  }
+
+  /**
+   * Beta(2, 18) prior over 100 thresholds 0.01-1.00,
+   * as in the pYIN paper (mean 0.1)
+   */
+  static betaWeights(thresholds) {
+    const weights = thresholds.map(t => t * Math.pow(1 - t, 17));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map(w => w / sum);
+  }
+}
+
+PyinAlgorithm.thresholds = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+PyinAlgorithm.thresholdWeights = PyinAlgorithm.betaWeights(PyinAlgorithm.thresholds);
+
+// ============================================
+// MPM (McLeod Pitch Method)
+// ============================================
+
+class MpmAlgorithm extends PitchAlgorithm {
+  constructor(sampleRate) {
+    super(sampleRate);
+    this.cutoff = 0.93;       // take the first peak this close to the highest
+    this.minClarity = 0.5;    // highest NSDF peak needed to call it pitched
+    this.nsdf = new Float64Array(1024);
+  }
+
+  detect(buffer) {
+    const halfBuffer = Math.floor(buffer.length / 2);
+    this.correlate(buffer, halfBuffer);
+
+    // ---- Normalized square difference ----
+    if (this.nsdf.length !== halfBuffer) this.nsdf = new Float64Array(halfBuffer);
+    const nsdf = this.nsdf;
+    const windowEnergy = this.energy[0];
+    for (let tau = 0; tau < halfBuffer; tau++) {
+      const m = windowEnergy + this.energy[tau];
+      nsdf[tau] = m > 0 ? 2 * this.correlation[tau] / m : 0;
+    }
+
+    // ---- Key maxima: the highest point of each positive lobe ----
+    const range = this.lagRange(halfBuffer);
+    const peaks = [];
+    let tau = 1;
+    while (tau < halfBuffer && nsdf[tau] > 0) tau++;   // lag-0 lobe
+    let peak = -1;
+    for (; tau <= range.max; tau++) {
+      if (nsdf[tau] > 0) {
+        if (peak < 0 || nsdf[tau] > nsdf[peak]) peak = tau;
+      } else if (peak >= 0) {
+        if (peak >= range.min) peaks.push(peak);
+        peak = -1;
+      }
+    }
+    if (peak >= range.min) peaks.push(peak);
+    if (peaks.length === 0) return { frequency: -1, clarity: 0 };
+
+    let highest = 0;
+    peaks.forEach(p => { highest = Math.max(highest, nsdf[p]); });
+    if (highest < this.minClarity) return { frequency: -1, clarity: 0 };
+
+    const chosen = peaks.find(p => nsdf[p] >= this.cutoff * highest);
+    const betterTau = PitchAlgorithm.parabolic(nsdf, chosen, halfBuffer);
+    const frequency = this.sampleRate / betterTau;
+    if (!this.inRange(frequency)) return { frequency: -1, clarity: 0 };
+
+    return {
+      frequency: frequency,
+      clarity: nsdf[chosen]
+    };
+  }
+}
+
+// ============================================
+// AUTOCORRELATION
+// ============================================
+
+class AutocorrelationAlgorithm extends PitchAlgorithm {
+  constructor(sampleRate) {
+    super(sampleRate);
+    this.octaveCost = 0.05;   // score lost per octave of lag (as in Praat)
+    this.minClarity = 0.5;
+    this.acf = new Float64Array(1024);
+  }
+
+  detect(buffer) {
+    const halfBuffer = Math.floor(buffer.length / 2);
+    this.correlate(buffer, halfBuffer);
+
+    // Normalized so a perfectly periodic signal peaks at 1
+    if (this.acf.length !== halfBuffer) this.acf = new Float64Array(halfBuffer);
+    const acf = this.acf;
+    const windowEnergy = this.energy[0];
+    for (let tau = 0; tau < halfBuffer; tau++) {
+      const m = Math.sqrt(windowEnergy * this.energy[tau]);
+      acf[tau] = m > 0 ? this.correlation[tau] / m : 0;
+    }
+
+    // Skip the lag-0 lobe, then take the best-scoring peak
+    const range = this.lagRange(halfBuffer);
+    let tau = 1;
+    while (tau < halfBuffer && acf[tau] > 0) tau++;
+
+    let best = -1;
+    let bestScore = -Infinity;
+    for (tau = Math.max(tau, range.min); tau <= range.max; tau++) {
+      if (acf[tau] < acf[tau - 1] || acf[tau] < acf[tau + 1]) continue;
+      const score = acf[tau] - this.octaveCost * Math.log2(tau / range.min);
+      if (score > bestScore) {
+        best = tau;
+        bestScore = score;
+      }
+    }
+
+    if (best < 0 || acf[best] < this.minClarity) return { frequency: -1, clarity: 0 };
+
+    const betterTau = PitchAlgorithm.parabolic(acf, best, halfBuffer);
+    const frequency = this.sampleRate / betterTau;
+    if (!this.inRange(frequency)) return { frequency: -1, clarity: 0 };
+
+    return {
+      frequency: frequency,
+      clarity: acf[best]
+    };
+  }
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+class PitchAlgorithms {
+  /**
+   * Algorithm entry by name (null if unknown)
+   */
+  static get(name) {
+    return PitchAlgorithms.builtIn[name] || null;
+  }
+
+  /**
+   * All algorithm names, in display order
+   */
+  static names() {
+    return Object.keys(PitchAlgorithms.builtIn);
+  }
+
+  /**
+   * New instance of an algorithm (YIN if unknown)
+   */
+  static create(name, sampleRate) {
+    const entry = PitchAlgorithms.get(name) || PitchAlgorithms.builtIn.yin;
+    return new entry.type(sampleRate);
+  }
+}
+
+// { label, hint, type } — `hint` is shown as the tooltip
+PitchAlgorithms.builtIn = {
+  yin: { label: 'YIN', hint: 'Fast and accurate on clean voice (default)', type: YinAlgorithm },
+  pyin: { label: 'pYIN', hint: 'Probabilistic YIN with note tracking — fewest octave errors', type: PyinAlgorithm },
+  mpm: { label: 'MPM', hint: 'McLeod Pitch Method — good for instruments and falsetto', type: MpmAlgorithm },
+  acf: { label: 'Autocorrelation', hint: 'Plain autocorrelation — robust on low, noisy voices', type: AutocorrelationAlgorithm }
+};
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.PitchAlgorithm = PitchAlgorithm;
+globalThis.YinAlgorithm = YinAlgorithm;
+globalThis.PyinAlgorithm = PyinAlgorithm;
+globalThis.MpmAlgorithm = MpmAlgorithm;
+globalThis.AutocorrelationAlgorithm = AutocorrelationAlgorithm;
+globalThis.PitchAlgorithms = PitchAlgorithms;
@@ -0,0 +1,79 @@
+// ============================================
+// WAVR TUNE — Offline Pitch Analyzer
+//
+// Runs PitchDetector over a whole decoded file
+// and returns the pitch track frame by frame.
+// Used for anything that needs to look at the
+// full performance rather than the live block
+// (key detection, note segmentation, ...).
+//
+// Like OfflineRenderer, the loop yields to the
+// event loop every few frames so the UI stays
+// responsive and can show progress.
+// ============================================
+
+class PitchAnalyzer {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.frameSize = 2048;  // same window as the live detector
+    this.hopSize = 1024;    // 50% overlap
+    this.framesPerYield = 32;
+    this.cancelled = false;
+  }
+
+  /**
+   * Analyze an AudioBuffer
+   *
+   * options: {
+   *   detector: {...},        // PitchDetector.setParams, optional
+   *   onProgress: fn(0..1)    // optional
+   * }
+   *
+   * Returns a Promise of frames, in time order:
+   *   [{ time: seconds (frame center), frequency, clarity, rms }]
+   * or null if cancel() was called.
+   */
+  async analyze(audioBuffer, options = {}) {
+    const frameSize = this.frameSize;
+    const hopSize = this.hopSize;
+    const input = OfflineRenderer.downmix(audioBuffer);
+    const detector = new PitchDetector(this.sampleRate);
+    if (options.detector) detector.setParams(options.detector);
+    const frame = new Float32Array(frameSize);
+    const frames = [];
+    let frameCount = 0;
+    this.cancelled = false;
+
+    for (let start = 0; start < input.length; start += hopSize) {
+      // The last frames are zero-padded to a full window
+      frame.fill(0);
+      frame.set(input.subarray(start, Math.min(input.length, start + frameSize)));
+
+      const det = detector.detect(frame);
+      let energy = 0;
+      for (let i = 0; i < frameSize; i++) energy += frame[i] * frame[i];
+
+      frames.push({
+        time: (start + frameSize / 2) / this.sampleRate,
+        frequency: det.frequency,
+        clarity: det.clarity,
+        rms: Math.sqrt(energy / frameSize)
+      });
+
+      if (++frameCount % this.framesPerYield === 0) {
+        if (options.onProgress) options.onProgress(start / input.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.cancelled) return null;
+      }
+    }
+
+    if (options.onProgress) options.onProgress(1);
+    return frames;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+window.PitchAnalyzer = PitchAnalyzer;
@@ -4,27 +4,35 @@
 // This handles the actual pitch shifting:
 // 1. Determines what scale/key notes are valid
 // 2. Finds the nearest valid note to snap to
-// 3. Calculates the pitch shift ratio
-// 4. Applies granular pitch shifting
-// 5. Blends dry/wet signal
+//    (in the current Tuning — 12-TET, EDO or Scala),
+//    unless held MIDI keys, a pitch-editor edit or
+//    a target melody say which note it should be.
+//    Hysteresis + a minimum hold keep the current
+//    note when the voice sits between two notes
+// 3. Calculates the pitch shift ratio for the
+//    center pitch — sung vibrato is split off
+//    first and kept as much as vibratoKeep says;
+//    humanize loosens long notes (Humanizer).
+//    The ratio glides per sample: a straight-line
+//    transition after each note change, then the
+//    retune (speed) follow on the held note
+// 4. Adds synthetic vibrato on held notes (if on)
+// 5. Applies TD-PSOLA pitch shifting, which keeps
+//    duration and formants intact
+// 6. Shifts formants by the formant knob (LPC)
+// 7. Blends dry/wet signal (dry is delayed to match)
+// 8. Adds harmony voices (Harmonizer), which follow
+//    the lead's shift at their own intervals
+//
+// processChannels runs steps 5-7 on several channels
+// with the same shift (linked stereo); each channel has
+// its own shifter and formant filter.
 // ============================================
 
 class PitchCorrector {
   constructor(sampleRate = 48000) {
     this.sampleRate = sampleRate;
 
-    // ---- Scale Definitions ----
-    // Each array contains semitone offsets from the root note
-    this.scales = {
-      major:       [0, 2, 4, 5, 7, 9, 11],
-      minor:       [0, 2, 3, 5, 7, 8, 10],
-      pentatonic:  [0, 2, 4, 7, 9],
-      blues:       [0, 3, 5, 6, 7, 10],
-      dorian:      [0, 2, 3, 5, 7, 9, 10],
-      mixolydian:  [0, 2, 4, 5, 7, 9, 10],
-      chromatic:   [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
-    };
-
     // ---- Note Name to Semitone Mapping ----
     this.noteToSemitone = {
       'C': 0, 'C#': 1, 'D': 2, 'D#': 3,
@@ -35,23 +43,59 @@ class PitchCorrector {
     // ---- User Parameters ----
     this.key = 'C';
     this.scale = 'major';
+    this.customNotes = [];          // pitch classes (0-11) when scale = 'custom'
     this.correctionAmount = 0.75;   // 0 = no correction, 1 = full snap
-    this.speed = 25;                // ms — lower = faster correction
-    this.humanize = 0.3;            // 0 = robotic, 1 = very loose
+    this.speed = 25;                // ms — retune: how tightly a held note is held
+    this.transitionTime = 40;       // ms — glide onto a new note after it changes
     this.formantShift = 0;          // semitones shift for formant
     this.mix = 0.85;                // 0 = all dry, 1 = all wet
+    this.tuning = new Tuning();     // 12-TET, A4 = 440 Hz
+    this.midiNotes = [];            // held MIDI keys — override key/scale
+    this.midiExact = false;         // true = only the octave played
+    this.melody = null;             // MelodyTimeline — overrides key/scale
+    this.melodyOffset = 0;          // seconds the melody is moved later by
+    this.noteEdits = null;          // MelodyTimeline of pitch-editor notes (file time)
+    this.vibratoKeep = 0;           // 0 = flatten sung vibrato, 1 = keep it all
+    this.hysteresis = 15;           // cents the voice must be closer to a new note
+    this.minHold = 0.06;            // seconds a note is held before it may change
+
+    // File time (seconds) of the next input block, -1 = live input
+    this.position = -1;
 
     // ---- Internal Processing State ----
     this.smoothedPitch = 0;
     this.smoothedRatio = 1.0;
-    this.prevDetectedFreq = 0;
-    this.grainSize = 1024;
-    this.hopSize = 256;
-
-    // Crossfade buffer for smooth transitions
-    this.crossfadeLength = 128;
-    this.prevOutput = new Float32Array(this.crossfadeLength);
-    this.hasPrevOutput = false;
+    this.targetFrequency = 0;       // last snap target (for display)
+    this.noteTarget = 0;            // target of the held note (new target = new note)
+    this.noteAge = 0;               // seconds the held note has been the target
+    this.transitionLeft = 0;        // samples until the note transition is done
+
+    // Separates sung vibrato from the center pitch
+    this.vibratoTracker = new VibratoTracker();
+
+    // Synthetic vibrato (off until it has a depth)
+    this.vibratoLfo = new VibratoLfo(sampleRate);
+
+    // Loosens sustained notes (humanize knob, 0 = robotic)
+    this.humanizer = new Humanizer();
+
+    // Pitch-synchronous shifter (grains follow the detected period)
+    this.shifter = new PsolaShifter(sampleRate);
+
+    // Spectral envelope (formant) shift
+    this.formantFilter = new FormantFilter(sampleRate);
+
+    // Shifter + formant filter of channels after the first
+    // (created when processChannels first sees them)
+    this.extraChannels = [];
+
+    // Extra voices at fixed or scale intervals (off until one has a level)
+    this.harmonizer = new Harmonizer(sampleRate);
+
+    // Per-block buffers, allocated once (see reuse)
+    this.outputBuffers = [];
+    this.ratios = null;
+    this.harmonySource = null;
   }
 
   /**
@@ -59,180 +103,399 @@ class PitchCorrector {
    * Based on current key and scale selection
    * 
    * Example: Key=D, Scale=major → [2, 4, 6, 7, 9, 11, 1]
+   *
+   * The 'custom' scale is the note mask set from the
+   * on-screen keyboard (already absolute, key is ignored)
    */
   getScaleNotes() {
+    if (this.scale === 'custom') {
+      return this.customNotes.slice();
+    }
+
     const rootSemitone = this.noteToSemitone[this.key] || 0;
-    const scaleIntervals = this.scales[this.scale] || this.scales.chromatic;
+    const scaleIntervals = ScaleRegistry.intervals(this.scale);
     return scaleIntervals.map(interval => (rootSemitone + interval) % 12);
   }
 
+  /**
+   * Target of an edited note. The piano roll has 12 rows per
+   * octave, so in a 12-key tuning the note is that key, in the
+   * exact octave shown; otherwise (or for an unmapped key) the
+   * key nearest its 12-TET pitch, so edits stay on the grid
+   */
+  editFrequency(note) {
+    const frequency = this.tuning.hasPitchClasses() ? this.tuning.keyToFrequency(note) : 0;
+    if (frequency > 0) return frequency;
+
+    const equal = this.tuning.referenceFrequency * Math.pow(2, (note - 69) / 12);
+    const nearest = this.tuning.nearest(equal);
+    return nearest ? nearest.frequency : equal;
+  }
+
   /**
    * Given a detected frequency, find the target frequency
-   * (nearest note in the current scale)
-   * 
-   * Also applies humanize (random micro-deviation)
+   * (nearest note in the current scale and tuning)
+   *
+   * Held MIDI notes come first, then the edited note and then
+   * the melody note at `time` (file seconds, omit for live
+   * input), then the scale
    */
-  getTargetFrequency(detectedFreq, scaleNotes) {
+  getTargetFrequency(detectedFreq, scaleNotes, time = -1) {
     if (detectedFreq <= 0) return detectedFreq;
 
-    // Convert frequency to fractional semitone number (relative to A4=440)
-    const noteNum = 12 * Math.log2(detectedFreq / 440);
+    let targetFreq = this.snapToKeys(detectedFreq, this.midiNotes);
 
-    // Search for the closest note in our scale
-    let bestDistance = Infinity;
-    let bestNoteNum = Math.round(noteNum);
-
-    // Check +-6 semitones (half octave each way is enough)
-    for (let offset = -6; offset <= 6; offset++) {
-      const candidate = Math.round(noteNum) + offset;
-      const noteIndex = ((candidate % 12) + 12) % 12;
-
-      if (scaleNotes.includes(noteIndex)) {
-        const distance = Math.abs(noteNum - candidate);
-        if (distance < bestDistance) {
-          bestDistance = distance;
-          bestNoteNum = candidate;
-        }
-      }
+    const edit = this.getEditAt(time);
+    if (targetFreq <= 0 && edit) return this.editFrequency(edit.note);
+
+    if (targetFreq <= 0 && this.melody && time >= 0) {
+      const note = this.melody.noteAt(time - this.melodyOffset);
+      if (note >= 0) return this.snapToKeys(detectedFreq, [note]);
+    }
+
+    if (targetFreq > 0) {
+      // Nearest held key — may stick to the current one
+      return this.stickyTarget(detectedFreq, targetFreq, f => this.snapToKeys(f, this.midiNotes));
     }
 
-    // Perfect frequency for the target note
-    let targetFreq = 440 * Math.pow(2, bestNoteNum / 12);
+    // Every note switched off — nothing to snap to
+    if (scaleNotes.length === 0 && this.tuning.hasPitchClasses()) return detectedFreq;
+
+    // Closest allowed note in the current tuning
+    // (the scale only applies to 12-note tunings)
+    const nearest = this.tuning.nearest(detectedFreq, scaleNotes);
+    if (!nearest) return detectedFreq;
+
+    // Perfect frequency for the target note, unless the
+    // current note still holds
+    return this.stickyTarget(detectedFreq, nearest.frequency, f => {
+      const n = this.tuning.nearest(f, scaleNotes);
+      return n ? n.frequency : 0;
+    });
+  }
 
-    // Apply humanize — adds tiny random pitch variation
-    // This prevents the "robotic" sound of perfect pitch
-    if (this.humanize > 0) {
-      const maxCentsDeviation = this.humanize * 15; // up to ±15 cents
-      const randomCents = (Math.random() - 0.5) * 2 * maxCentsDeviation;
-      targetFreq = targetFreq * Math.pow(2, randomCents / 1200);
+  /**
+   * Hysteresis for nearest-note targets: keep the note being
+   * held unless the voice is `hysteresis` cents closer to the
+   * new one and the held note has lasted `minHold`.
+   * `snap` maps a frequency to its nearest allowed note, to
+   * check the held note is still allowed (key/scale changes).
+   */
+  stickyTarget(detectedFreq, candidate, snap) {
+    const held = this.noteTarget;
+    if (!held || Math.abs(1200 * Math.log2(candidate / held)) < 1) return candidate;
+    if (Math.abs(1200 * Math.log2(snap(held) / held)) >= 1) return candidate;
+
+    const heldDistance = Math.abs(1200 * Math.log2(detectedFreq / held));
+    const newDistance = Math.abs(1200 * Math.log2(detectedFreq / candidate));
+    const clearlyMoved = heldDistance - newDistance > this.hysteresis;
+
+    return clearlyMoved && this.noteAge >= this.minHold ? candidate : held;
+  }
+
+  /**
+   * Frequency of the nearest of the given MIDI keys (0 if none)
+   *
+   * By default a key counts in every octave, so the singer
+   * keeps their register; with midiExact it is only the
+   * key as written / played
+   */
+  snapToKeys(detectedFreq, keys) {
+    const tuning = this.tuning;
+    let best = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < keys.length; i++) {
+      let freq = tuning.keyToFrequency(keys[i]);
+      if (freq <= 0) continue;
+
+      if (!this.midiExact) {
+        // Move by whole periods towards the voice
+        const periods = Math.round(1200 * Math.log2(detectedFreq / freq) / tuning.period);
+        freq *= Math.pow(2, (periods * tuning.period) / 1200);
+      }
+
+      const distance = Math.abs(Math.log2(detectedFreq / freq));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = freq;
+      }
     }
 
-    return targetFreq;
+    return best;
+  }
+
+  /**
+   * Pitch-editor note at `time` file seconds (null if none)
+   */
+  getEditAt(time) {
+    return this.noteEdits && time >= 0 ? this.noteEdits.segmentAt(time) : null;
   }
 
   /**
    * Main processing method
    * Takes audio buffer + detected frequency
-   * Returns pitch-corrected audio buffer
+   * Returns pitch-corrected audio buffer, delayed by getLatency()
    */
   processBuffer(inputBuffer, detectedFrequency) {
-    const scaleNotes = this.getScaleNotes();
-    const targetFreq = this.getTargetFrequency(detectedFrequency, scaleNotes);
+    return this.processChannels([inputBuffer], detectedFrequency)[0];
+  }
 
-    // If no valid pitch detected, pass through unchanged
-    if (detectedFrequency <= 0 || targetFreq <= 0) {
-      return new Float32Array(inputBuffer);
+  /**
+   * Correct several channels of one block with the same shift,
+   * so a stereo image stays intact
+   *
+   * inputs: Float32Array per channel (same length)
+   * detectedFrequency: pitch of the block (e.g. of the mid signal)
+   * outputCount: channels to return — more than the inputs
+   *   repeats the first one (e.g. a mono lead under panned
+   *   harmonies)
+   *
+   * Returns a Float32Array per output channel, overwritten
+   * by the next call (copy what needs to be kept)
+   */
+  processChannels(inputs, detectedFrequency, outputCount = inputs.length) {
+    const length = inputs[0].length;
+
+    // Melody lookups use the middle of the block
+    const blockSeconds = length / this.sampleRate;
+    const time = this.position >= 0 ? this.position + blockSeconds / 2 : -1;
+    if (this.position >= 0) this.position += blockSeconds;
+
+    // ---- Split off sung vibrato ----
+    // The note is chosen from the center pitch, so a wide
+    // vibrato can't flip between neighbouring notes
+    let centerFreq = detectedFrequency;
+    let vibratoCents = 0;
+    if (detectedFrequency > 0) {
+      const split = this.vibratoTracker.push(1200 * Math.log2(detectedFrequency / 440), blockSeconds);
+      centerFreq = 440 * Math.pow(2, split.center / 1200);
+      vibratoCents = split.residual;
+    } else {
+      this.vibratoTracker.reset();
     }
 
-    // ---- Calculate shift ratio ----
-    // ratio > 1 = shift up, ratio < 1 = shift down
-    const shiftRatio = targetFreq / detectedFrequency;
-
-    // Apply correction amount
-    // Blends between no shift (1.0) and full shift
-    const targetRatio = 1.0 + (shiftRatio - 1.0) * this.correctionAmount;
+    const scaleNotes = this.getScaleNotes();
+    let targetFreq = this.getTargetFrequency(centerFreq, scaleNotes, time);
+
+    // No valid pitch: the shifter runs unvoiced at ratio 1,
+    // which only delays the input (keeps latency constant)
+    const voiced = detectedFrequency > 0 && targetFreq > 0;
+
+    // A new note: the voice came in or the target moved
+    const newNote = voiced &&
+      (!this.noteTarget || Math.abs(1200 * Math.log2(targetFreq / this.noteTarget)) > 5);
+    this.noteTarget = voiced ? targetFreq : 0;
+    this.noteAge = newNote ? blockSeconds : this.noteAge + blockSeconds;
+
+    // ---- Humanize ----
+    // Sustained notes loosen up and wander a little;
+    // transitions stay tight
+    const human = this.humanizer.process(blockSeconds, newNote);
+    if (voiced) targetFreq *= Math.pow(2, human.cents / 1200);
+    this.targetFrequency = targetFreq;
+
+    let ratio = this.smoothedRatio;
+
+    if (voiced) {
+      // ---- Calculate shift ratio ----
+      // ratio > 1 = shift up, ratio < 1 = shift down
+      // Moves the center onto the target; the part of the
+      // vibrato that is not kept is shifted out
+      const shiftRatio = (targetFreq / centerFreq) *
+                         Math.pow(2, (-vibratoCents * (1 - this.vibratoKeep)) / 1200);
+
+      // Edited notes may bring their own correction (which
+      // humanize leaves alone) and transition speed
+      const edit = this.getEditAt(time);
+      const correction = edit && edit.correction !== undefined
+        ? edit.correction / 100
+        : this.correctionAmount * human.correction;
+      const transition = edit && edit.speed !== undefined ? edit.speed * 2 : this.transitionTime;
+
+      // Apply correction amount
+      // Blends between no shift (1.0) and full shift
+      const targetRatio = 1.0 + (shiftRatio - 1.0) * correction;
+
+      // ---- Glide to the target, sample by sample ----
+      // A note change restarts the transition
+      if (newNote) this.transitionLeft = Math.round((transition / 1000) * this.sampleRate);
+      ratio = this.smoothRatio(targetRatio, length, this.speed + human.extraSpeed);
+
+      // ---- Synthetic vibrato ----
+      this.applyVibrato(newNote, ratio);
+    }
 
-    // ---- Smooth the ratio over time ----
-    // This is what the "speed" knob controls
-    // Fast speed = quick snap, slow speed = gradual glide
-    const speedSamples = Math.max(1, (this.speed / 1000) * this.sampleRate);
-    const smoothingFactor = Math.min(1.0, inputBuffer.length / speedSamples);
+    const period = voiced ? this.sampleRate / detectedFrequency : 0;
 
-    this.smoothedRatio = this.smoothedRatio + (targetRatio - this.smoothedRatio) * smoothingFactor;
+    const outputs = inputs.map((input, channel) => {
+      const chain = this.channelChain(channel);
 
-    // ---- Apply the pitch shift ----
-    const shifted = this.grainShift(inputBuffer, this.smoothedRatio);
+      // ---- Apply the pitch shift ----
+      const shifted = chain.shifter.process(input, period, ratio);
 
-    // ---- Crossfade with previous block for click-free transitions ----
-    const output = this.crossfadeBlocks(shifted);
+      // ---- Formant knob ----
+      const wet = this.applyFormants(shifted.wet, chain.formantFilter);
 
-    // ---- Apply dry/wet mix ----
-    const mixed = new Float32Array(inputBuffer.length);
-    for (let i = 0; i < inputBuffer.length; i++) {
-      mixed[i] = inputBuffer[i] * (1.0 - this.mix) + output[i] * this.mix;
+      // ---- Apply dry/wet mix ----
+      const dry = shifted.dry;
+      const mixed = this.outputBuffers[channel] = PitchCorrector.reuse(this.outputBuffers[channel], length);
+      for (let i = 0; i < length; i++) {
+        mixed[i] = dry[i] * (1.0 - this.mix) + wet[i] * this.mix;
+      }
+      return mixed;
+    });
+
+    while (outputs.length < outputCount) {
+      const channel = outputs.length;
+      this.outputBuffers[channel] = PitchCorrector.reuse(this.outputBuffers[channel], length);
+      this.outputBuffers[channel].set(outputs[0]);
+      outputs.push(this.outputBuffers[channel]);
     }
 
-    // Store tail for next crossfade
-    const tailStart = Math.max(0, mixed.length - this.crossfadeLength);
-    for (let i = 0; i < this.crossfadeLength; i++) {
-      if (tailStart + i < mixed.length) {
-        this.prevOutput[i] = mixed[tailStart + i];
-      }
+    // ---- Harmony voices ----
+    // Shifted from the mix of the inputs, on top of the lead
+    if (this.harmonizer.isOn()) {
+      const target = voiced ? this.noteTarget : 0;
+      this.harmonySource = PitchCorrector.reuse(this.harmonySource, length);
+      this.harmonizer.process(PitchCorrector.downmix(inputs, this.harmonySource), period, ratio, target, scaleNotes, this.tuning, outputs);
     }
-    this.hasPrevOutput = true;
 
-    // Update tracking
-    this.prevDetectedFreq = detectedFrequency;
+    return outputs;
+  }
 
-    return mixed;
+  /**
+   * Average of the channels (the first one itself if mono),
+   * written into `output` when given
+   */
+  static downmix(inputs, output) {
+    if (inputs.length === 1) return inputs[0];
+
+    const mono = output ? output.fill(0) : new Float32Array(inputs[0].length);
+    for (let ch = 0; ch < inputs.length; ch++) {
+      const data = inputs[ch];
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += data[i] / inputs.length;
+      }
+    }
+    return mono;
   }
 
   /**
-   * Granular pitch shifting using resampling + overlap-add
-   * 
-   * How it works:
-   * - To shift pitch UP: read through the input FASTER (skip samples)
-   * - To shift pitch DOWN: read through the input SLOWER (stretch samples)
-   * - Use linear interpolation for smooth sub-sample reading
-   * - Apply Hann window at edges to prevent clicks
+   * `buffer` if it holds `length` samples, else a new one.
+   * Blocks keep their size, so the audio thread only
+   * allocates when the block size changes.
    */
-  grainShift(input, ratio) {
-    const length = input.length;
-    const output = new Float32Array(length);
+  static reuse(buffer, length) {
+    return buffer && buffer.length === length ? buffer : new Float32Array(length);
+  }
 
-    // If ratio is very close to 1.0, just copy (no shift needed)
-    if (Math.abs(ratio - 1.0) < 0.001) {
-      output.set(input);
-      return output;
+  /**
+   * { shifter, formantFilter } of a channel — channel 0
+   * uses the corrector's own
+   */
+  channelChain(channel) {
+    if (channel === 0) return { shifter: this.shifter, formantFilter: this.formantFilter };
+
+    while (this.extraChannels.length < channel) {
+      this.extraChannels.push({
+        shifter: new PsolaShifter(this.sampleRate),
+        formantFilter: new FormantFilter(this.sampleRate)
+      });
     }
+    return this.extraChannels[channel - 1];
+  }
+
+  /**
+   * Per-sample ratios moving towards `target`:
+   * - during a note transition, a straight line that lands
+   *   on the target exactly when the transition time is up
+   * - on the held note, a one-pole follow with the retune
+   *   time (ms) as its time constant (0 = locked)
+   */
+  smoothRatio(target, length, retuneMs) {
+    const ratios = this.ratios = PitchCorrector.reuse(this.ratios, length);
+    const retuneSamples = (retuneMs / 1000) * this.sampleRate;
+    const follow = retuneSamples > 1 ? 1 - Math.exp(-1 / retuneSamples) : 1;
+    let r = this.smoothedRatio;
 
-    // Resample the input at the shifted rate
     for (let i = 0; i < length; i++) {
-      // Where to read from in the original signal
-      const readPos = i * ratio;
-      const readIndex = Math.floor(readPos);
-      const fraction = readPos - readIndex;
-
-      // Linear interpolation between two samples
-      if (readIndex >= 0 && readIndex < length - 1) {
-        output[i] = input[readIndex] * (1.0 - fraction) + input[readIndex + 1] * fraction;
-      } else if (readIndex >= 0 && readIndex < length) {
-        output[i] = input[readIndex];
+      if (this.transitionLeft > 0) {
+        r += (target - r) / this.transitionLeft;
+        this.transitionLeft--;
       } else {
-        output[i] = 0;
+        r += (target - r) * follow;
       }
+      ratios[i] = r;
     }
 
-    // Apply Hann window fade at edges to prevent clicks
-    const fadeLength = Math.min(64, Math.floor(length / 4));
+    this.smoothedRatio = r;
+    return ratios;
+  }
 
-    for (let i = 0; i < fadeLength; i++) {
-      // Hann window: 0.5 * (1 - cos(PI * i / N))
-      const fade = 0.5 * (1.0 - Math.cos(Math.PI * i / fadeLength));
-      output[i] *= fade;                        // Fade in
-      output[length - 1 - i] *= fade;           // Fade out
+  /**
+   * Multiply the LFO into the ratios (in place) when it is
+   * on. A new note restarts the LFO's delay.
+   */
+  applyVibrato(newNote, ratios) {
+    const lfo = this.vibratoLfo;
+    if (newNote) lfo.reset();
+
+    if (!lfo.isOn()) {
+      // Keep the note clock running for when it is switched on
+      lfo.noteTime += ratios.length / this.sampleRate;
+      return;
     }
 
-    return output;
+    const factors = lfo.process(ratios.length);
+    for (let i = 0; i < ratios.length; i++) ratios[i] *= factors[i];
   }
 
   /**
-   * Crossfade between current and previous block
-   * Eliminates clicks at block boundaries
+   * Where the next input block starts in the loaded file
+   * (seconds), or -1 for live input without a timeline.
+   * Advances by itself as blocks are processed.
    */
-  crossfadeBlocks(current) {
-    if (!this.hasPrevOutput) return current;
+  setPosition(seconds) {
+    this.position = seconds;
+  }
 
-    const output = new Float32Array(current);
-    const fadeLen = Math.min(this.crossfadeLength, current.length);
+  /**
+   * Bypass path: feeds the shifter (so its state stays
+   * continuous) but returns the dry signal, delayed by the
+   * same latency — toggling bypass doesn't jump in time
+   */
+  passThrough(inputBuffer) {
+    return this.passThroughChannels([inputBuffer])[0];
+  }
+
+  passThroughChannels(inputs) {
+    // No note is being held while bypassed
+    this.noteTarget = 0;
+    this.harmonizer.stop();
+    return inputs.map((input, channel) => this.channelChain(channel).shifter.process(input, 0, 1).dry);
+  }
+
+  /**
+   * Samples between input and output of processBuffer
+   */
+  getLatency() {
+    return this.shifter.latency;
+  }
 
-    for (let i = 0; i < fadeLen; i++) {
-      const fadeIn = i / fadeLen;
-      const fadeOut = 1.0 - fadeIn;
-      output[i] = current[i] * fadeIn + this.prevOutput[i] * fadeOut;
+  /**
+   * Formant stage
+   * PSOLA grains carry the original spectral envelope, so the
+   * formants already stay put. This only runs when the formant
+   * knob asks to move them.
+   */
+  applyFormants(wet, formantFilter = this.formantFilter) {
+    if (Math.abs(this.formantShift) <= 0.01) {
+      formantFilter.bypass(wet);
+      return wet;
     }
 
-    return output;
+    return formantFilter.process(wet, wet, this.formantShift);
   }
 
   /**
@@ -240,12 +503,30 @@ class PitchCorrector {
    * 
    * params: {
    *   key: 'C',           // Root note
-   *   scale: 'major',     // Scale type
+   *   scale: 'major',     // ScaleRegistry name, or 'custom'
+   *   notes: [0, 4, 7],   // Pitch classes for the 'custom' scale
    *   correction: 75,     // 0-100 correction strength
-   *   speed: 25,          // 0-100 mapped to ms
-   *   humanize: 30,       // 0-100 randomization
+   *   speed: 25,          // 0-100 → 0-50 ms retune time on held notes
+   *   transition: 20,     // 0-100 → 0-200 ms glide onto a new note
+   *   humanize: 30,       // 0-100 looseness on sustained notes
+   *   humanizeSeed: 1,    // random seed (same seed = same render)
    *   formant: 50,        // 0-100 (50 = no shift)
-   *   mix: 85             // 0-100 dry/wet
+   *   mix: 85,            // 0-100 dry/wet
+   *   tuning: {...},      // Tuning.toJSON() — concert pitch, EDO, Scala
+   *   midiNotes: [60],    // Held MIDI keys (empty = use key/scale)
+   *   midiExact: false,   // Snap to held keys in their own octave only
+   *   melody: [...],      // MelodyTimeline.toJSON(), or null to clear
+   *   melodyOffset: 0,    // ms the melody is moved later by
+   *   edits: [...],       // Pitch-editor notes (MelodyTimeline.toJSON()
+   *                       // with correction / speed = transition, both
+   *                       // 0-100 like the knobs), or null to clear
+   *   hysteresis: 15,     // cents closer a new note must be to take over
+   *   minHold: 60,        // ms a note is held before it may change
+   *   vibratoKeep: 0,     // 0-100 % of the sung vibrato kept
+   *   vibratoRate: 5.5,   // Hz — synthetic vibrato
+   *   vibratoDepth: 0,    // cents (0 = off)
+   *   vibratoDelay: 300,  // ms into each note before it starts
+   *   harmony: [...]      // Harmonizer.setVoices voices ([] = off)
    * }
    */
   setParams(params) {
@@ -255,6 +536,9 @@ class PitchCorrector {
     if (params.scale !== undefined) {
       this.scale = params.scale;
     }
+    if (params.notes !== undefined) {
+      this.customNotes = params.notes.slice();
+    }
     if (params.correction !== undefined) {
       this.correctionAmount = params.correction / 100;
     }
@@ -262,8 +546,15 @@ class PitchCorrector {
       // Map 0-100 to 0-50ms
       this.speed = params.speed * 0.5;
     }
+    if (params.transition !== undefined) {
+      // Map 0-100 to 0-200ms
+      this.transitionTime = params.transition * 2;
+    }
     if (params.humanize !== undefined) {
-      this.humanize = params.humanize / 100;
+      this.humanizer.amount = params.humanize / 100;
+    }
+    if (params.humanizeSeed !== undefined) {
+      this.humanizer.setSeed(params.humanizeSeed);
     }
     if (params.formant !== undefined) {
       // Map 0-100 to -12 to +12 semitones (50 = center = 0)
@@ -272,20 +563,86 @@ class PitchCorrector {
     if (params.mix !== undefined) {
       this.mix = params.mix / 100;
     }
+    if (params.tuning !== undefined) {
+      this.tuning = Tuning.fromJSON(params.tuning);
+    }
+    if (params.midiNotes !== undefined) {
+      this.midiNotes = params.midiNotes.slice();
+    }
+    if (params.midiExact !== undefined) {
+      this.midiExact = params.midiExact;
+    }
+    if (params.melody !== undefined) {
+      this.melody = params.melody ? MelodyTimeline.fromJSON(params.melody) : null;
+    }
+    if (params.melodyOffset !== undefined) {
+      this.melodyOffset = params.melodyOffset / 1000;
+    }
+    if (params.edits !== undefined) {
+      this.noteEdits = params.edits ? MelodyTimeline.fromJSON(params.edits) : null;
+    }
+    if (params.hysteresis !== undefined) {
+      this.hysteresis = params.hysteresis;
+    }
+    if (params.minHold !== undefined) {
+      this.minHold = params.minHold / 1000;
+    }
+    if (params.vibratoKeep !== undefined) {
+      this.vibratoKeep = params.vibratoKeep / 100;
+    }
+    if (params.vibratoRate !== undefined) {
+      this.vibratoLfo.rate = params.vibratoRate;
+    }
+    if (params.vibratoDepth !== undefined) {
+      this.vibratoLfo.depth = params.vibratoDepth;
+    }
+    if (params.vibratoDelay !== undefined) {
+      this.vibratoLfo.delay = params.vibratoDelay / 1000;
+    }
+    if (params.harmony !== undefined) {
+      this.harmonizer.setVoices(params.harmony);
+    }
   }
 
   /**
    * Get current parameters (for saving state)
    */
   getParams() {
-    return {
+    const params = Object.assign({
       key: this.key,
       scale: this.scale,
+      humanizeSeed: this.humanizer.seed,
+      tuning: this.tuning.toJSON(),
+      midiExact: this.midiExact,
+      melody: this.melody ? this.melody.toJSON() : null,
+      melodyOffset: Math.round(this.melodyOffset * 1000),
+      edits: this.noteEdits ? this.noteEdits.toJSON() : null,
+      harmony: this.harmonizer.getVoices()
+    }, this.getKnobParams());
+    if (this.scale === 'custom') {
+      params.notes = this.customNotes.slice();
+    }
+    return params;
+  }
+
+  /**
+   * Just the knob-style parameters (ParamAutomation.params),
+   * cheap enough to read on every move
+   */
+  getKnobParams() {
+    return {
       correction: Math.round(this.correctionAmount * 100),
       speed: Math.round(this.speed * 2),
-      humanize: Math.round(this.humanize * 100),
+      transition: Math.round(this.transitionTime / 2),
+      humanize: Math.round(this.humanizer.amount * 100),
       formant: Math.round((this.formantShift / 0.24) + 50),
-      mix: Math.round(this.mix * 100)
+      mix: Math.round(this.mix * 100),
+      hysteresis: this.hysteresis,
+      minHold: Math.round(this.minHold * 1000),
+      vibratoKeep: Math.round(this.vibratoKeep * 100),
+      vibratoRate: this.vibratoLfo.rate,
+      vibratoDepth: this.vibratoLfo.depth,
+      vibratoDelay: Math.round(this.vibratoLfo.delay * 1000)
     };
   }
 
@@ -296,9 +653,21 @@ class PitchCorrector {
   reset() {
     this.smoothedRatio = 1.0;
     this.smoothedPitch = 0;
-    this.prevDetectedFreq = 0;
-    this.hasPrevOutput = false;
-    this.prevOutput.fill(0);
+    this.targetFrequency = 0;
+    this.noteTarget = 0;
+    this.noteAge = 0;
+    this.transitionLeft = 0;
+    this.position = -1;
+    this.vibratoTracker.reset();
+    this.vibratoLfo.reset();
+    this.humanizer.reset();
+    this.shifter.reset();
+    this.formantFilter.reset();
+    this.extraChannels.forEach(chain => {
+      chain.shifter.reset();
+      chain.formantFilter.reset();
+    });
+    this.harmonizer.reset();
   }
 }
 
@@ -310,6 +679,7 @@ PitchCorrector.presets = {
   natural: {
     correction: 40,
     speed: 50,
+    transition: 60,
     humanize: 60,
     formant: 50,
     mix: 70
@@ -317,6 +687,7 @@ PitchCorrector.presets = {
   soft: {
     correction: 65,
     speed: 35,
+    transition: 40,
     humanize: 40,
     formant: 50,
     mix: 80
@@ -324,6 +695,7 @@ PitchCorrector.presets = {
   modern: {
     correction: 75,
     speed: 25,
+    transition: 20,
     humanize: 30,
     formant: 50,
     mix: 85
@@ -331,6 +703,7 @@ PitchCorrector.presets = {
   hardtune: {
     correction: 95,
     speed: 5,
+    transition: 3,
     humanize: 5,
     formant: 50,
     mix: 95
@@ -338,11 +711,13 @@ PitchCorrector.presets = {
   tpain: {
     correction: 100,
     speed: 0,
+    transition: 0,
     humanize: 0,
     formant: 42,
     mix: 100
   }
 };
 
-// Make available globally
-window.PitchCorrector = PitchCorrector;
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.PitchCorrector = PitchCorrector;
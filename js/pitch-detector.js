@@ -1,21 +1,33 @@
 // ============================================
-// WAVR TUNE — YIN Pitch Detection Algorithm
-// 
-// The YIN algorithm is one of the most accurate
-// methods for detecting pitch in audio signals.
-// It works by finding the fundamental frequency
-// through autocorrelation with cumulative mean
-// normalized difference.
+// WAVR TUNE — Pitch Detection
 //
-// Reference: "YIN, a fundamental frequency estimator
-// for speech and music" - de Cheveigné & Kawahara
+// Gates out quiet blocks, then hands the block to
+// the selected algorithm (YIN by default — see
+// PitchAlgorithms for pYIN, MPM and plain
+// autocorrelation) and names the result as a note
+// in the current tuning.
+//
+// Every algorithm returns the same
+// { frequency, clarity } and searches only between
+// minFrequency and maxFrequency, so a bass voice or
+// a falsetto can get a range that suits it.
+//
+// Voice types (PitchDetector.voiceTypes) set the
+// range, analysis window and YIN threshold together.
+// A shorter window suits high voices: it follows
+// fast notes better and costs less. The window is
+// taken from the middle of each block.
 // ============================================
 
 class PitchDetector {
   constructor(sampleRate = 48000) {
     this.sampleRate = sampleRate;
-    this.bufferSize = 2048;
-    this.threshold = 0.15; // YIN threshold — lower = more selective
+    this.bufferSize = 2048;    // analysis window (at most the block)
+    this.minRms = 0.01;        // quieter blocks are not analyzed
+    this.threshold = 0.15;     // YIN threshold — lower = more selective
+    this.method = 'fft';       // correlation: 'fft' or 'direct'
+    this.minFrequency = 50;    // Hz
+    this.maxFrequency = 1200;  // Hz
 
     // All 12 chromatic note names
     this.noteStrings = [
@@ -23,8 +35,10 @@ class PitchDetector {
       'F#', 'G', 'G#', 'A', 'A#', 'B'
     ];
 
-    // Pre-allocate buffers for performance
-    this.yinBuffer = new Float32Array(Math.floor(this.bufferSize / 2));
+    // Note naming (concert pitch, 12-TET / EDO / Scala)
+    this.tuning = new Tuning();
+
+    this.setAlgorithm('yin');
   }
 
   /**
@@ -35,11 +49,11 @@ class PitchDetector {
    *   clarity: confidence 0-1 (higher = more certain)
    */
   detect(audioBuffer) {
-    const buffer = audioBuffer;
+    const skip = Math.max(0, (audioBuffer.length - this.bufferSize) >> 1);
+    const buffer = skip > 0 ? audioBuffer.subarray(skip, skip + this.bufferSize) : audioBuffer;
     const bufferSize = buffer.length;
-    const halfBuffer = Math.floor(bufferSize / 2);
 
-    // ---- STEP 1: Check signal energy ----
+    // ---- Check signal energy ----
     // If the signal is too quiet, skip detection
     let rms = 0;
     for (let i = 0; i < bufferSize; i++) {
@@ -47,135 +61,172 @@ class PitchDetector {
     }
     rms = Math.sqrt(rms / bufferSize);
 
-    if (rms < 0.01) {
+    if (rms < this.minRms) {
+      this.algorithm.observeSilence();
       return { frequency: -1, clarity: 0 };
     }
 
-    // ---- STEP 2: Difference function ----
-    // For each lag tau, compute the squared difference
-    // between the signal and its shifted version
-    const yinBuffer = this.yinBuffer;
-
-    for (let tau = 0; tau < halfBuffer; tau++) {
-      yinBuffer[tau] = 0;
-      for (let i = 0; i < halfBuffer; i++) {
-        const delta = buffer[i] - buffer[i + tau];
-        yinBuffer[tau] += delta * delta;
-      }
+    const result = this.algorithm.detect(buffer);
+
+    // Interpolation may land just outside the range
+    if (!(result.frequency >= this.minFrequency && result.frequency <= this.maxFrequency)) {
+      return { frequency: -1, clarity: 0 };
     }
 
-    // ---- STEP 3: Cumulative mean normalized difference ----
-    // Normalize each value by the running average
-    // This prevents the function from always choosing tau=0
-    yinBuffer[0] = 1;
-    let runningSum = 0;
+    return {
+      frequency: result.frequency,
+      clarity: Math.max(0, Math.min(1, result.clarity))
+    };
+  }
 
-    for (let tau = 1; tau < halfBuffer; tau++) {
-      runningSum += yinBuffer[tau];
-      yinBuffer[tau] *= tau / runningSum;
-    }
+  /**
+   * Switch algorithm by PitchAlgorithms name (YIN if unknown)
+   */
+  setAlgorithm(name) {
+    this.algorithmName = PitchAlgorithms.get(name) ? name : 'yin';
+    this.algorithm = PitchAlgorithms.create(this.algorithmName, this.sampleRate);
+    this.configureAlgorithm();
+  }
 
-    // ---- STEP 4: Absolute threshold ----
-    // Find the first dip below the threshold
-    // Then walk forward to find the true minimum
-    let tauEstimate = -1;
-
-    for (let tau = 2; tau < halfBuffer; tau++) {
-      if (yinBuffer[tau] < this.threshold) {
-        // Walk to the bottom of this dip
-        while (tau + 1 < halfBuffer && yinBuffer[tau + 1] < yinBuffer[tau]) {
-          tau++;
-        }
-        tauEstimate = tau;
-        break;
-      }
-    }
+  configureAlgorithm() {
+    const algorithm = this.algorithm;
+    algorithm.minFrequency = this.minFrequency;
+    algorithm.maxFrequency = this.maxFrequency;
+    algorithm.method = this.method;
+    if ('threshold' in algorithm) algorithm.threshold = this.threshold;
+    algorithm.reset();
+  }
 
-    // No pitch found
-    if (tauEstimate === -1) {
-      return { frequency: -1, clarity: 0 };
-    }
+  /**
+   * Search range in Hz. The low end is limited by the
+   * window: a period must fit in half a buffer.
+   */
+  setRange(minFrequency, maxFrequency) {
+    this.minFrequency = Math.max(this.lowestFrequency(), Math.min(1000, minFrequency));
+    this.maxFrequency = Math.max(this.minFrequency * 2, Math.min(2000, maxFrequency));
+    this.configureAlgorithm();
+  }
 
-    // ---- STEP 5: Parabolic interpolation ----
-    // Refine the tau estimate for sub-sample accuracy
-    // Fits a parabola through 3 points around the minimum
-    let betterTau;
-    const x0 = tauEstimate < 1 ? tauEstimate : tauEstimate - 1;
-    const x2 = tauEstimate + 1 < halfBuffer ? tauEstimate + 1 : tauEstimate;
-
-    if (x0 === tauEstimate) {
-      betterTau = yinBuffer[tauEstimate] <= yinBuffer[x2] ? tauEstimate : x2;
-    } else if (x2 === tauEstimate) {
-      betterTau = yinBuffer[tauEstimate] <= yinBuffer[x0] ? tauEstimate : x0;
-    } else {
-      const s0 = yinBuffer[x0];
-      const s1 = yinBuffer[tauEstimate];
-      const s2 = yinBuffer[x2];
-
-      // Parabolic fit
-      betterTau = tauEstimate + (s2 - s0) / (2 * (2 * s1 - s2 - s0));
-    }
+  /**
+   * Lowest pitch the window can hold (two periods)
+   */
+  lowestFrequency() {
+    return Math.ceil(2 * this.sampleRate / this.bufferSize);
+  }
 
-    // ---- STEP 6: Convert tau to frequency ----
-    const frequency = this.sampleRate / betterTau;
-    const clarity = 1 - yinBuffer[tauEstimate];
+  /**
+   * Analysis window in samples (512-4096, even); blocks
+   * shorter than this are analyzed whole. Narrows the
+   * range if it no longer fits.
+   */
+  setBufferSize(size) {
+    this.bufferSize = Math.max(512, Math.min(4096, Math.round(size / 2) * 2));
+    this.setRange(this.minFrequency, this.maxFrequency);
+  }
 
-    // Sanity check: human voice + instrument range
-    // Below 50Hz or above 1200Hz is likely noise
-    if (frequency < 50 || frequency > 1200) {
-      return { frequency: -1, clarity: 0 };
+  /**
+   * Apply a PitchDetector.voiceTypes entry by name
+   * (ignored if unknown)
+   */
+  setVoiceType(name) {
+    const voice = PitchDetector.voiceTypes[name];
+    if (!voice) return;
+    this.setBufferSize(voice.bufferSize);
+    this.setThreshold(voice.threshold);
+    this.setRange(voice.minFrequency, voice.maxFrequency);
+  }
+
+  /**
+   * params: {
+   *   voiceType: PitchDetector.voiceTypes name (applied first),
+   *   algorithm: 'yin' | 'pyin' | 'mpm' | 'acf',
+   *   method: correlation, 'fft' | 'direct',
+   *   bufferSize: samples,
+   *   threshold: YIN threshold,
+   *   minFrequency: Hz,
+   *   maxFrequency: Hz
+   * }
+   * Any subset can be passed
+   */
+  setParams(params) {
+    if (params.voiceType !== undefined) {
+      this.setVoiceType(params.voiceType);
+    }
+    if (params.algorithm !== undefined && params.algorithm !== this.algorithmName) {
+      this.setAlgorithm(params.algorithm);
+    }
+    if (params.method !== undefined) {
+      this.setMethod(params.method);
+    }
+    if (params.bufferSize !== undefined) {
+      this.setBufferSize(params.bufferSize);
     }
+    if (params.threshold !== undefined) {
+      this.setThreshold(params.threshold);
+    }
+    if (params.minFrequency !== undefined || params.maxFrequency !== undefined) {
+      this.setRange(
+        params.minFrequency !== undefined ? params.minFrequency : this.minFrequency,
+        params.maxFrequency !== undefined ? params.maxFrequency : this.maxFrequency
+      );
+    }
+  }
 
+  getParams() {
     return {
-      frequency: frequency,
-      clarity: Math.max(0, Math.min(1, clarity))
+      algorithm: this.algorithmName,
+      method: this.method,
+      bufferSize: this.bufferSize,
+      threshold: this.threshold,
+      minFrequency: this.minFrequency,
+      maxFrequency: this.maxFrequency
     };
   }
 
   /**
-   * Convert a frequency (Hz) to musical note info
+   * Forget tracking state (pYIN's note path)
+   */
+  reset() {
+    this.algorithm.reset();
+  }
+
+  /**
+   * Convert a frequency (Hz) to musical note info,
+   * named in the current tuning (see setTuning)
    * Returns null if frequency is invalid
    * 
    * Returns {
    *   note: 'A',        // Note name
    *   octave: 4,        // Octave number
+   *   label: 'A4',      // Name to display (microtonal names may omit the octave)
    *   cents: -12,       // Cents deviation from perfect pitch
    *   frequency: 440,   // Input frequency
    *   targetFrequency: 440, // Perfect pitch for this note
-   *   noteIndex: 9,     // 0-11 chromatic index (C=0)
-   *   midiNote: 69      // MIDI note number
+   *   noteIndex: 9,     // 0-11 chromatic index (C=0) of the nearest 12-TET note
+   *   midiNote: 69      // Key number in the tuning (MIDI note number in 12-TET)
    * }
    */
   frequencyToNote(frequency) {
     if (frequency <= 0) return null;
 
-    // How many semitones from A4 (440Hz)
-    const noteNum = 12 * Math.log2(frequency / 440);
-    const roundedNote = Math.round(noteNum);
-
-    // How many cents off from the nearest note
-    const cents = Math.round((noteNum - roundedNote) * 100);
-
-    // Note name (0 = C, 1 = C#, etc.)
-    const noteIndex = ((roundedNote % 12) + 12) % 12;
-
-    // Octave number
-    const octave = Math.floor((roundedNote + 69) / 12) - 1;
+    const nearest = this.tuning.nearest(frequency);
+    if (!nearest) return null;
+    const name = this.tuning.keyName(nearest.key);
 
-    // The perfect frequency for this note
-    const targetFrequency = 440 * Math.pow(2, roundedNote / 12);
-
-    // MIDI note number (A4 = 69)
-    const midiNote = roundedNote + 69;
+    // Pitch class against plain 12-TET at the same concert A,
+    // so key detection works whatever the tuning
+    const semitone = Math.round(12 * Math.log2(frequency / this.tuning.referenceFrequency)) + 69;
+    const noteIndex = ((semitone % 12) + 12) % 12;
 
     return {
-      note: this.noteStrings[noteIndex],
-      octave: octave,
-      cents: cents,
+      note: name.note,
+      octave: name.octave,
+      label: name.label,
+      cents: Math.round(nearest.cents),
       frequency: frequency,
-      targetFrequency: targetFrequency,
+      targetFrequency: nearest.frequency,
       noteIndex: noteIndex,
-      midiNote: midiNote
+      midiNote: nearest.key
     };
   }
 
@@ -184,11 +235,12 @@ class PitchDetector {
    * 
    * scaleNotes: array of note indices (0-11) that are in the scale
    * Example: C major = [0, 2, 4, 5, 7, 9, 11]
+   * (ignored by tunings without 12 notes per octave)
    * 
    * Returns {
    *   frequency: target frequency,
    *   noteIndex: 0-11,
-   *   midiNote: MIDI number,
+   *   midiNote: key number in the tuning,
    *   centsOff: how far the input was from this note
    * }
    */
@@ -197,36 +249,24 @@ class PitchDetector {
       return null;
     }
 
-    const noteNum = 12 * Math.log2(frequency / 440);
-    let bestDistance = Infinity;
-    let bestNoteNum = Math.round(noteNum);
-
-    // Search nearby notes (one octave each direction is plenty)
-    for (let offset = -12; offset <= 12; offset++) {
-      const candidateNoteNum = Math.round(noteNum) + offset;
-      const noteIndex = ((candidateNoteNum % 12) + 12) % 12;
-
-      // Is this note in our scale?
-      if (scaleNotes.includes(noteIndex)) {
-        const candidateFreq = 440 * Math.pow(2, candidateNoteNum / 12);
-        // Distance in cents
-        const distance = Math.abs(1200 * Math.log2(frequency / candidateFreq));
-
-        if (distance < bestDistance) {
-          bestDistance = distance;
-          bestNoteNum = candidateNoteNum;
-        }
-      }
-    }
+    const nearest = this.tuning.nearest(frequency, scaleNotes);
+    if (!nearest) return null;
 
     return {
-      frequency: 440 * Math.pow(2, bestNoteNum / 12),
-      noteIndex: ((bestNoteNum % 12) + 12) % 12,
-      midiNote: bestNoteNum + 69,
-      centsOff: bestDistance
+      frequency: nearest.frequency,
+      noteIndex: ((nearest.key % 12) + 12) % 12,
+      midiNote: nearest.key,
+      centsOff: Math.abs(nearest.cents)
     };
   }
 
+  /**
+   * Tuning used to name notes (default 12-TET, A4 = 440 Hz)
+   */
+  setTuning(tuning) {
+    this.tuning = tuning;
+  }
+
   /**
    * Set detection sensitivity
    * Lower threshold = more selective (fewer false detections)
@@ -235,6 +275,16 @@ class PitchDetector {
    */
   setThreshold(value) {
     this.threshold = Math.max(0.01, Math.min(0.5, value));
+    if ('threshold' in this.algorithm) this.algorithm.threshold = this.threshold;
+  }
+
+  /**
+   * Correlation implementation: 'fft' (fast, default)
+   * or 'direct' (the original nested loop)
+   */
+  setMethod(method) {
+    this.method = method === 'direct' ? 'direct' : 'fft';
+    this.algorithm.method = this.method;
   }
 
   /**
@@ -246,9 +296,24 @@ class PitchDetector {
     if (noteIndex === -1) return 0;
 
     const midiNote = (octave + 1) * 12 + noteIndex;
-    return 440 * Math.pow(2, (midiNote - 69) / 12);
+    return this.tuning.keyToFrequency(midiNote);
   }
 }
 
-// Make available globally
-window.PitchDetector = PitchDetector;
+// Range, window and YIN threshold per voice type.
+// Low voices keep the full window (long periods) and a
+// stricter threshold against octave-up errors; high
+// voices get a shorter window.
+PitchDetector.voiceTypes = {
+  any: { label: 'Any voice', minFrequency: 50, maxFrequency: 1200, bufferSize: 2048, threshold: 0.15 },
+  bass: { label: 'Bass', minFrequency: 60, maxFrequency: 350, bufferSize: 2048, threshold: 0.10 },
+  baritone: { label: 'Baritone', minFrequency: 75, maxFrequency: 450, bufferSize: 2048, threshold: 0.12 },
+  tenor: { label: 'Tenor', minFrequency: 100, maxFrequency: 600, bufferSize: 2048, threshold: 0.15 },
+  alto: { label: 'Alto', minFrequency: 140, maxFrequency: 900, bufferSize: 1024, threshold: 0.15 },
+  soprano: { label: 'Soprano', minFrequency: 200, maxFrequency: 1300, bufferSize: 1024, threshold: 0.18 },
+  instrument: { label: 'Instrument', minFrequency: 47, maxFrequency: 2000, bufferSize: 2048, threshold: 0.10 }
+};
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.PitchDetector = PitchDetector;
@@ -0,0 +1,563 @@
+// ============================================
+// WAVR TUNE — Graphical Pitch Editor
+//
+// Piano roll for the loaded file: the detected
+// pitch curve over time, with the notes found by
+// NoteSegmenter drawn as blobs on top.
+//
+// - Drag a blob up/down to retarget it
+//   (Shift+click selects several)
+// - Double click a blob to split it there
+// - mergeSelected() joins the selected notes
+// - Per-note correction / transition speed via
+//   setSelectionParams()
+// - Wheel zooms around the cursor, Shift+wheel scrolls
+// - setReadOnly() keeps the view but blocks editing
+//   (tunings without 12 notes per octave)
+//
+// Edited notes are handed to onChange as a
+// MelodyTimeline-style list, which PitchCorrector
+// applies by file position (its `edits` param).
+// ============================================
+
+class PitchEditor {
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    if (!this.canvas) {
+      console.error('PitchEditor: canvas not found:', canvasId);
+      return;
+    }
+    this.ctx = this.canvas.getContext('2d');
+    this.width = 0;
+    this.height = 0;
+    this.gutter = 32;           // note names on the left
+
+    // Data
+    this.frames = [];           // { time, pitch } — pitch null when unvoiced
+    this.notes = [];            // { start, end, pitch, note, correction, speed, selected }
+    this.duration = 0;
+    this.minNoteLength = 0.05;  // seconds — shortest half a split may leave
+
+    // View
+    this.viewStart = 0;
+    this.viewEnd = 1;
+    this.lowNote = 48;
+    this.highNote = 72;
+    this.playhead = -1;
+    this.readOnly = false;
+
+    this.noteStrings = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+
+    // Called with getEdits() after every edit
+    this.onChange = null;
+    // Called with the selected notes when the selection changes
+    this.onSelect = null;
+
+    this.drag = null;
+    this.drawPending = false;
+
+    this.init();
+    this.resize();
+  }
+
+  // ---- Setup ----
+
+  init() {
+    this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    this.boundMove = (e) => this.onMouseMove(e);
+    this.boundUp = () => this.onMouseUp();
+    document.addEventListener('mousemove', this.boundMove);
+    document.addEventListener('mouseup', this.boundUp);
+
+    this.canvas.addEventListener('dblclick', (e) => {
+      if (this.readOnly) return;
+      const point = this.eventPoint(e);
+      const note = this.noteAtPoint(point.x, point.y);
+      if (note) this.split(note, this.xToTime(point.x));
+    });
+
+    this.canvas.addEventListener('wheel', (e) => {
+      if (this.duration <= 0) return;
+      e.preventDefault();
+      const span = this.viewEnd - this.viewStart;
+
+      if (e.shiftKey) {
+        this.setView(this.viewStart + Math.sign(e.deltaY || e.deltaX) * span * 0.15, span);
+      } else {
+        const anchor = this.xToTime(this.eventPoint(e).x);
+        const newSpan = span * (e.deltaY > 0 ? 1.25 : 0.8);
+        this.setView(anchor - (anchor - this.viewStart) * (newSpan / span), newSpan);
+      }
+    }, { passive: false });
+
+    this.boundResize = () => this.resize();
+    window.addEventListener('resize', this.boundResize);
+  }
+
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(100, rect.width);
+    const height = parseFloat(this.canvas.getAttribute('height')) || 220;
+
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.scale(dpr, dpr);
+
+    this.width = width;
+    this.height = height;
+    this.draw();
+  }
+
+  // ---- Data ----
+
+  /**
+   * frames:   PitchAnalyzer frames
+   * segments: NoteSegmenter notes
+   */
+  load(frames, segments, referenceFrequency = 440, minClarity = 0.6) {
+    this.frames = frames.map(f => ({
+      time: f.time,
+      pitch: f.frequency > 0 && f.clarity >= minClarity
+        ? 69 + 12 * Math.log2(f.frequency / referenceFrequency)
+        : null
+    }));
+
+    this.notes = segments.map(s => ({
+      start: s.start,
+      end: s.end,
+      pitch: s.pitch !== undefined ? s.pitch : s.note,
+      note: s.note,
+      correction: null,
+      speed: null,
+      selected: false
+    }));
+
+    const last = frames[frames.length - 1];
+    this.duration = last ? last.time : 0;
+    this.viewStart = 0;
+    this.viewEnd = Math.max(1, this.duration);
+    this.fitPitchRange();
+    this.notifySelect();
+    this.draw();
+  }
+
+  clear() {
+    this.frames = [];
+    this.notes = [];
+    this.duration = 0;
+    this.playhead = -1;
+    this.notifySelect();
+    this.draw();
+  }
+
+  hasData() {
+    return this.notes.length > 0;
+  }
+
+  /**
+   * Notes that differ from plain correction, for PitchCorrector
+   * (`edits`): [{ start, end, note, correction?, speed? }]
+   */
+  getEdits() {
+    return this.notes
+      .filter(n => PitchEditor.isEdited(n))
+      .map(n => {
+        const edit = { start: n.start, end: n.end, note: n.note };
+        if (n.correction !== null) edit.correction = n.correction;
+        if (n.speed !== null) edit.speed = n.speed;
+        return edit;
+      });
+  }
+
+  static isEdited(note) {
+    return note.note !== Math.round(note.pitch) || note.correction !== null || note.speed !== null;
+  }
+
+  getSelection() {
+    return this.notes.filter(n => n.selected);
+  }
+
+  // ---- Editing ----
+
+  /**
+   * Block (or allow again) every edit; the selection is
+   * dropped so the per-note tools switch off
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (!readOnly) return;
+
+    this.notes.forEach(n => { n.selected = false; });
+    this.notifySelect();
+    this.draw();
+  }
+
+  /**
+   * Set correction / speed (0-100, null = follow the knob)
+   * on the selected notes; keys left out are unchanged
+   */
+  setSelectionParams(params) {
+    const selection = this.getSelection();
+    if (selection.length === 0) return;
+
+    selection.forEach(n => {
+      if (params.correction !== undefined) n.correction = params.correction;
+      if (params.speed !== undefined) n.speed = params.speed;
+    });
+    this.notifyChange();
+  }
+
+  /**
+   * Split a note in two at `time` (both halves keep its edits)
+   */
+  split(note, time) {
+    if (time - note.start < this.minNoteLength || note.end - time < this.minNoteLength) return;
+
+    const second = Object.assign({}, note, { start: time, selected: false });
+    note.end = time;
+    note.pitch = this.medianPitch(note.start, note.end, note.pitch);
+    second.pitch = this.medianPitch(second.start, second.end, second.pitch);
+
+    this.notes.splice(this.notes.indexOf(note) + 1, 0, second);
+    this.notifyChange();
+  }
+
+  /**
+   * Join the selected notes (and anything between them) into
+   * one note with the target and edits of the first
+   */
+  mergeSelected() {
+    const selection = this.getSelection();
+    if (selection.length < 2) return;
+
+    const first = selection[0];
+    const end = selection[selection.length - 1].end;
+    this.notes = this.notes.filter(n => n === first || n.start < first.start || n.start >= end);
+    first.end = end;
+    first.pitch = this.medianPitch(first.start, first.end, first.pitch);
+
+    this.notifySelect();
+    this.notifyChange();
+  }
+
+  /**
+   * Put the selected notes (all if none are selected) back
+   * on their detected note with the knob settings
+   */
+  resetNotes() {
+    if (this.readOnly) return;
+    const selection = this.getSelection();
+    (selection.length ? selection : this.notes).forEach(n => {
+      n.note = Math.round(n.pitch);
+      n.correction = null;
+      n.speed = null;
+    });
+    this.notifyChange();
+  }
+
+  medianPitch(start, end, fallback) {
+    const pitches = this.frames
+      .filter(f => f.pitch !== null && f.time >= start && f.time < end)
+      .map(f => f.pitch);
+    return pitches.length ? NoteSegmenter.median(pitches) : fallback;
+  }
+
+  notifyChange() {
+    this.draw();
+    if (this.onChange) this.onChange(this.getEdits());
+  }
+
+  notifySelect() {
+    if (this.onSelect) this.onSelect(this.getSelection());
+  }
+
+  // ---- Mouse ----
+
+  eventPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  noteAtPoint(x, y) {
+    const time = this.xToTime(x);
+    const row = Math.round(this.yToPitch(y));
+    for (let i = 0; i < this.notes.length; i++) {
+      const n = this.notes[i];
+      if (time >= n.start && time < n.end && n.note === row) return n;
+    }
+    return null;
+  }
+
+  onMouseDown(e) {
+    e.preventDefault();
+    if (this.readOnly) return;
+    const point = this.eventPoint(e);
+    const note = this.noteAtPoint(point.x, point.y);
+
+    if (!note) {
+      this.notes.forEach(n => { n.selected = false; });
+    } else if (e.shiftKey) {
+      note.selected = !note.selected;
+    } else if (!note.selected) {
+      this.notes.forEach(n => { n.selected = n === note; });
+    }
+    this.notifySelect();
+    this.draw();
+
+    if (note && note.selected) {
+      const selection = this.getSelection();
+      this.drag = {
+        startY: point.y,
+        notes: selection,
+        origin: selection.map(n => n.note),
+        moved: false
+      };
+      document.body.style.cursor = 'grabbing';
+      document.body.style.userSelect = 'none';
+    }
+  }
+
+  onMouseMove(e) {
+    if (!this.drag) return;
+    const point = this.eventPoint(e);
+    const steps = Math.round((this.drag.startY - point.y) / this.rowHeight());
+
+    this.drag.notes.forEach((n, i) => {
+      n.note = Math.max(0, Math.min(127, this.drag.origin[i] + steps));
+    });
+    this.drag.moved = this.drag.moved || steps !== 0;
+    this.requestDraw();
+  }
+
+  onMouseUp() {
+    if (!this.drag) return;
+    const moved = this.drag.moved;
+    this.drag = null;
+    document.body.style.cursor = '';
+    document.body.style.userSelect = '';
+
+    if (moved) {
+      this.fitPitchRange();
+      this.notifyChange();
+    }
+  }
+
+  // ---- View ----
+
+  setView(start, span) {
+    const total = Math.max(1, this.duration);
+    span = Math.max(0.5, Math.min(total, span));
+    this.viewStart = Math.max(0, Math.min(total - span, start));
+    this.viewEnd = this.viewStart + span;
+    this.draw();
+  }
+
+  /**
+   * Show every note and the voiced curve with a little room
+   */
+  fitPitchRange() {
+    let low = Infinity;
+    let high = -Infinity;
+    this.notes.forEach(n => {
+      low = Math.min(low, n.note, n.pitch);
+      high = Math.max(high, n.note, n.pitch);
+    });
+    if (low > high) {
+      low = 48;
+      high = 72;
+    }
+    this.lowNote = Math.floor(low) - 3;
+    this.highNote = Math.ceil(high) + 3;
+  }
+
+  setPlayhead(seconds) {
+    this.playhead = seconds;
+    this.requestDraw();
+  }
+
+  rowHeight() {
+    return this.height / (this.highNote - this.lowNote + 1);
+  }
+
+  timeToX(time) {
+    const plot = this.width - this.gutter;
+    return this.gutter + ((time - this.viewStart) / (this.viewEnd - this.viewStart)) * plot;
+  }
+
+  xToTime(x) {
+    const plot = this.width - this.gutter;
+    return this.viewStart + ((x - this.gutter) / plot) * (this.viewEnd - this.viewStart);
+  }
+
+  // Row centers sit on whole notes
+  pitchToY(pitch) {
+    return (this.highNote + 0.5 - pitch) * this.rowHeight();
+  }
+
+  yToPitch(y) {
+    return this.highNote + 0.5 - y / this.rowHeight();
+  }
+
+  // ---- Drawing ----
+
+  requestDraw() {
+    if (this.drawPending) return;
+    this.drawPending = true;
+    requestAnimationFrame(() => {
+      this.drawPending = false;
+      this.draw();
+    });
+  }
+
+  draw() {
+    if (!this.ctx || this.width === 0) return;
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    this.drawRows(ctx);
+    if (this.notes.length === 0 && this.frames.length === 0) {
+      this.drawEmpty(ctx);
+      return;
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.gutter, 0, this.width - this.gutter, this.height);
+    ctx.clip();
+    this.drawNotes(ctx);
+    this.drawCurve(ctx);
+    this.drawPlayhead(ctx);
+    ctx.restore();
+  }
+
+  drawRows(ctx) {
+    const rowH = this.rowHeight();
+
+    for (let note = this.lowNote; note <= this.highNote; note++) {
+      const y = this.pitchToY(note) - rowH / 2;
+      const pc = ((note % 12) + 12) % 12;
+      const black = this.noteStrings[pc].length > 1;
+
+      ctx.fillStyle = black ? 'rgba(0, 0, 0, 0.25)' : 'rgba(255, 255, 255, 0.02)';
+      ctx.fillRect(this.gutter, y, this.width - this.gutter, rowH);
+
+      if (pc === 0) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.beginPath();
+        ctx.moveTo(this.gutter, y + rowH);
+        ctx.lineTo(this.width, y + rowH);
+        ctx.stroke();
+      }
+
+      if (pc === 0 || rowH >= 10) {
+        ctx.fillStyle = pc === 0 ? 'rgba(192, 132, 252, 0.8)' : 'rgba(255, 255, 255, 0.25)';
+        ctx.font = '600 8px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.noteStrings[pc] + (Math.floor(note / 12) - 1), this.gutter - 4, y + rowH / 2);
+      }
+    }
+  }
+
+  drawNotes(ctx) {
+    const rowH = this.rowHeight();
+
+    this.notes.forEach(n => {
+      if (n.end < this.viewStart || n.start > this.viewEnd) return;
+      const x = this.timeToX(n.start);
+      const w = Math.max(2, this.timeToX(n.end) - x);
+      const y = this.pitchToY(n.note) - rowH / 2 + 1;
+      const h = Math.max(2, rowH - 2);
+      const edited = PitchEditor.isEdited(n);
+
+      ctx.fillStyle = n.selected
+        ? 'rgba(192, 132, 252, 0.55)'
+        : edited ? 'rgba(168, 85, 247, 0.4)' : 'rgba(168, 85, 247, 0.2)';
+      ctx.strokeStyle = n.selected ? 'rgba(233, 213, 255, 0.9)' : 'rgba(168, 85, 247, 0.5)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      PitchEditor.roundRect(ctx, x, y, w, h, Math.min(4, h / 2));
+      ctx.fill();
+      ctx.stroke();
+
+      // Per-note settings, when there is room
+      if (w > 44 && h >= 9 && (n.correction !== null || n.speed !== null)) {
+        const parts = [];
+        if (n.correction !== null) parts.push('C' + n.correction);
+        if (n.speed !== null) parts.push('T' + n.speed);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '600 8px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(parts.join(' '), x + 4, y + h / 2);
+      }
+    });
+  }
+
+  drawCurve(ctx) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.lineWidth = 1.25;
+    ctx.beginPath();
+
+    let drawing = false;
+    let prevTime = -Infinity;
+    this.frames.forEach(f => {
+      if (f.pitch === null || f.time < this.viewStart - 0.1 || f.time > this.viewEnd + 0.1) {
+        drawing = false;
+        return;
+      }
+      const x = this.timeToX(f.time);
+      const y = this.pitchToY(f.pitch);
+      // Break the line over dropouts
+      if (drawing && f.time - prevTime < 0.1) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+      }
+      drawing = true;
+      prevTime = f.time;
+    });
+    ctx.stroke();
+  }
+
+  drawPlayhead(ctx) {
+    if (this.playhead < this.viewStart || this.playhead > this.viewEnd) return;
+    const x = this.timeToX(this.playhead);
+    ctx.strokeStyle = 'rgba(233, 213, 255, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, this.height);
+    ctx.stroke();
+  }
+
+  drawEmpty(ctx) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.font = '500 11px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Load a file to edit its notes', (this.width + this.gutter) / 2, this.height / 2);
+  }
+
+  static roundRect(ctx, x, y, w, h, r) {
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  destroy() {
+    document.removeEventListener('mousemove', this.boundMove);
+    document.removeEventListener('mouseup', this.boundUp);
+    window.removeEventListener('resize', this.boundResize);
+  }
+}
+
+window.PitchEditor = PitchEditor;
@@ -0,0 +1,256 @@
+// ============================================
+// WAVR TUNE — TD-PSOLA Pitch Shifter
+//
+// Time-Domain Pitch-Synchronous Overlap-Add:
+// 1. Analysis marks are placed one pitch period
+//    apart in the input (period from PitchDetector),
+//    each nudged to best line up with the last one
+// 2. Synthesis marks are placed period / ratio apart
+//    on the same timeline — closer together to raise
+//    the pitch, further apart to lower it
+// 3. Each synthesis mark copies the two-period,
+//    Hann-windowed grain around the nearest analysis
+//    mark and overlap-adds it into the output
+//
+// Duration stays the same (grains are repeated or
+// skipped, never stretched) and the output is one
+// continuous stream, so there are no block-boundary
+// fades. Because the grains are copied unchanged,
+// the spectral envelope (formants) is preserved.
+//
+// Unvoiced input (period 0) uses short fixed grains
+// at ratio 1, which reconstructs the input exactly.
+//
+// The ratio may also be given per input sample
+// (vibrato); each synthesis mark uses the ratio at
+// its own position in the input.
+//
+// Output is delayed by `latency` samples: grains
+// reach up to one period into the future.
+//
+// Reference: Moulines & Charpentier, "Pitch-synchronous
+// waveform processing techniques for text-to-speech
+// synthesis using diphones", Speech Comm. 1990
+// ============================================
+
+class PsolaShifter {
+  constructor(sampleRate = 48000, options = {}) {
+    this.sampleRate = sampleRate;
+
+    // Lowest pitch we build full grains for
+    this.minFrequency = options.minFrequency || 60;
+    this.maxPeriod = Math.ceil(sampleRate / this.minFrequency);
+
+    // Grain spacing while unvoiced (5 ms)
+    this.unvoicedPeriod = Math.round(sampleRate * 0.005);
+
+    // Worst case look-ahead of the mark placement below:
+    // analysis marks trail the input by up to 2.125 periods,
+    // synthesis marks wait half a period past the nearest one,
+    // and a grain reaches one period back from its mark
+    this.latency = Math.ceil(3.75 * this.maxPeriod) + 1;
+
+    // Ring buffers, indexed by absolute sample position
+    let size = 1;
+    while (size < (this.latency + this.maxPeriod) * 4 + 8192) size *= 2;
+    this.ringSize = size;
+    this.mask = size - 1;
+    this.inputRing = new Float32Array(size);
+    this.outputRing = new Float32Array(size);
+    this.ratioRing = new Float32Array(size);
+    this.windowSum = new Float32Array(size);
+
+    // Window sums below this are not fully boosted back up
+    // (only happens when shifting down by a lot)
+    this.minWindowSum = 0.5;
+
+    // Output blocks (reused)
+    this.wet = null;
+    this.dry = null;
+
+    this.reset();
+  }
+
+  /**
+   * Shift one block
+   *
+   * input:  Float32Array of any length
+   * period: pitch period in samples (0 = unvoiced)
+   * ratio:  pitch ratio (2 = octave up, 0.5 = octave down),
+   *         or a Float32Array with one ratio per input sample
+   *
+   * Returns {
+   *   wet: shifted audio, delayed by `latency`
+   *   dry: the input, delayed by the same amount
+   * }
+   * Both are reused by the next call
+   */
+  process(input, period, ratio) {
+    const voiced = period > 0;
+    const markPeriod = voiced ? Math.round(Math.min(period, this.maxPeriod)) : this.unvoicedPeriod;
+    const perSample = typeof ratio !== 'number';
+
+    // ---- 1. Store input (and its ratios) ----
+    for (let i = 0; i < input.length; i++) {
+      const idx = (this.inputEnd + i) & this.mask;
+      this.inputRing[idx] = input[i];
+      this.ratioRing[idx] = voiced ? Math.max(0.25, Math.min(4, perSample ? ratio[i] : ratio)) : 1;
+    }
+    this.inputEnd += input.length;
+
+    // ---- 2. Analysis marks ----
+    this.placeAnalysisMarks(markPeriod, voiced);
+
+    // ---- 3. Synthesis marks + overlap-add ----
+    this.placeSynthesisMarks();
+
+    // ---- 4. Emit finished output ----
+    if (!this.wet || this.wet.length !== input.length) {
+      this.wet = new Float32Array(input.length);
+      this.dry = new Float32Array(input.length);
+    }
+    const wet = this.wet;
+    const dry = this.dry;
+
+    for (let i = 0; i < input.length; i++) {
+      const pos = this.outputPos + i;
+      const idx = pos & this.mask;
+
+      // Before the first sample only grain tails land here
+      if (pos >= 0) {
+        const norm = Math.max(this.windowSum[idx], this.minWindowSum);
+        wet[i] = this.outputRing[idx] / norm;
+        dry[i] = this.inputRing[idx];
+      } else {
+        wet[i] = 0;
+        dry[i] = 0;
+      }
+
+      this.outputRing[idx] = 0;
+      this.windowSum[idx] = 0;
+    }
+    this.outputPos += input.length;
+
+    return { wet: wet, dry: dry };
+  }
+
+  /**
+   * Walk forward one period at a time while the grain
+   * (and the alignment search) is fully inside the input
+   */
+  placeAnalysisMarks(period, voiced) {
+    const search = voiced ? Math.floor(period / 8) : 0;
+
+    while (this.nextAnalysisMark + period + search + 1 <= this.inputEnd) {
+      let mark = this.nextAnalysisMark;
+
+      if (search > 0 && this.marks.length > 0) {
+        mark += this.bestAlignment(mark, period, search);
+      }
+
+      this.marks.push({ pos: mark, period: period });
+      this.nextAnalysisMark = mark + period;
+    }
+  }
+
+  /**
+   * Offset (within ±search) at which the period around `mark`
+   * best matches the period one cycle earlier — keeps marks
+   * locked to the same point of the waveform
+   */
+  bestAlignment(mark, period, search) {
+    const half = Math.floor(period / 2);
+    const ring = this.inputRing;
+    const mask = this.mask;
+    let bestOffset = 0;
+    let bestCorr = -Infinity;
+
+    for (let offset = -search; offset <= search; offset++) {
+      let corr = 0;
+      const ref = mark - period;
+      const cand = mark + offset;
+      for (let k = -half; k < half; k++) {
+        corr += ring[(ref + k) & mask] * ring[(cand + k) & mask];
+      }
+      if (corr > bestCorr) {
+        bestCorr = corr;
+        bestOffset = offset;
+      }
+    }
+
+    return bestOffset;
+  }
+
+  placeSynthesisMarks() {
+    const marks = this.marks;
+
+    while (marks.length > 0) {
+      const ts = this.nextSynthesisMark;
+      const last = marks[marks.length - 1];
+
+      // Only place a synthesis mark once the analysis marks
+      // on both sides of it are known
+      if (last.pos < ts + last.period / 2) break;
+
+      // Nearest analysis mark (both sequences only move forward)
+      while (this.markIndex + 1 < marks.length &&
+             Math.abs(marks[this.markIndex + 1].pos - ts) <= Math.abs(marks[this.markIndex].pos - ts)) {
+        this.markIndex++;
+      }
+      const source = marks[this.markIndex];
+      const next = marks[this.markIndex + 1];
+
+      // Step by the real distance to the next analysis mark,
+      // so ratio 1 puts every grain back where it came from
+      const spacing = next ? next.pos - source.pos : source.period;
+
+      const ratio = this.ratioRing[Math.round(ts) & this.mask];
+      this.overlapAdd(source.pos, Math.round(ts), source.period);
+      this.nextSynthesisMark = ts + spacing / ratio;
+    }
+
+    // Drop marks that can no longer be chosen
+    const keepFrom = this.nextSynthesisMark - 2 * this.maxPeriod;
+    let drop = 0;
+    while (drop < this.markIndex && marks[drop].pos < keepFrom) drop++;
+    if (drop > 0) {
+      marks.splice(0, drop);
+      this.markIndex -= drop;
+    }
+  }
+
+  /**
+   * Copy the 2-period Hann grain centered on `from`
+   * into the output centered on `to`
+   */
+  overlapAdd(from, to, period) {
+    const mask = this.mask;
+    const length = 2 * period;
+
+    for (let k = 1; k < length; k++) {
+      const w = 0.5 - 0.5 * Math.cos((Math.PI * k) / period);
+      const offset = k - period;
+      const idx = (to + offset) & mask;
+      this.outputRing[idx] += this.inputRing[(from + offset) & mask] * w;
+      this.windowSum[idx] += w;
+    }
+  }
+
+  reset() {
+    this.inputRing.fill(0);
+    this.outputRing.fill(0);
+    this.ratioRing.fill(1);
+    this.windowSum.fill(0);
+
+    this.inputEnd = 0;
+    this.outputPos = -this.latency;
+    this.marks = [];
+    this.markIndex = 0;
+    this.nextAnalysisMark = 0;
+    this.nextSynthesisMark = 0;
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.PsolaShifter = PsolaShifter;
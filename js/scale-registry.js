@@ -0,0 +1,185 @@
+// ============================================
+// WAVR TUNE — Scale Registry
+//
+// The one list of scales shared by the corrector,
+// the scale dropdown, the on-screen keyboard and
+// key detection.
+//
+// Each scale is { label, group, intervals }, where
+// intervals are semitone offsets from the root.
+// Built-in scales are fixed; user scales can be
+// registered at runtime and are saved to localStorage
+// by the app (the AudioWorklet has no storage, so it
+// receives them as a message instead).
+// ============================================
+
+class ScaleRegistry {
+  /**
+   * Scale by name, built-in first (null if unknown)
+   */
+  static get(name) {
+    return ScaleRegistry.builtIn[name] || ScaleRegistry.user[name] || null;
+  }
+
+  /**
+   * Semitone offsets for a scale (chromatic if unknown)
+   */
+  static intervals(name) {
+    const scale = ScaleRegistry.get(name) || ScaleRegistry.builtIn.chromatic;
+    return scale.intervals;
+  }
+
+  /**
+   * All scale names, built-in first, in display order
+   */
+  static names() {
+    return Object.keys(ScaleRegistry.builtIn).concat(Object.keys(ScaleRegistry.user));
+  }
+
+  /**
+   * { name: intervals } for the given names (default: all)
+   */
+  static toMap(names) {
+    const map = {};
+    (names || ScaleRegistry.names()).forEach(name => {
+      const scale = ScaleRegistry.get(name);
+      if (scale) map[name] = scale.intervals;
+    });
+    return map;
+  }
+
+  /**
+   * [{ group, scales: [{ name, label }] }] in display order,
+   * for building the dropdown
+   */
+  static groups() {
+    const groups = [];
+    ScaleRegistry.names().forEach(name => {
+      const scale = ScaleRegistry.get(name);
+      let group = groups.find(g => g.group === scale.group);
+      if (!group) {
+        group = { group: scale.group, scales: [] };
+        groups.push(group);
+      }
+      group.scales.push({ name: name, label: scale.label });
+    });
+    return groups;
+  }
+
+  /**
+   * Register (or replace) a user scale
+   *
+   * intervals: semitone offsets, any order, 0-11 (wrapped)
+   *
+   * Returns the scale name used for PitchCorrector.setParams
+   * Throws if the label is empty or no notes are given
+   */
+  static register(label, intervals) {
+    const cleanLabel = String(label || '').trim();
+    if (!cleanLabel) throw new Error('Scale needs a name');
+
+    const notes = [];
+    (intervals || []).forEach(i => {
+      const pc = ((Math.round(i) % 12) + 12) % 12;
+      if (notes.indexOf(pc) === -1) notes.push(pc);
+    });
+    if (notes.length === 0) throw new Error('Scale needs at least one note');
+    notes.sort((a, b) => a - b);
+
+    const name = 'user:' + cleanLabel.toLowerCase().replace(/\s+/g, '-');
+    ScaleRegistry.user[name] = { label: cleanLabel, group: 'User', intervals: notes };
+    return name;
+  }
+
+  static unregister(name) {
+    delete ScaleRegistry.user[name];
+  }
+
+  static isUserScale(name) {
+    return Object.prototype.hasOwnProperty.call(ScaleRegistry.user, name);
+  }
+
+  /**
+   * Plain copy of the user scales (for storage / postMessage)
+   */
+  static exportUserScales() {
+    return JSON.parse(JSON.stringify(ScaleRegistry.user));
+  }
+
+  /**
+   * Replace all user scales with a saved copy
+   */
+  static importUserScales(scales) {
+    ScaleRegistry.user = {};
+    Object.keys(scales || {}).forEach(name => {
+      const scale = scales[name];
+      if (scale && scale.label && Array.isArray(scale.intervals)) {
+        ScaleRegistry.register(scale.label, scale.intervals);
+      }
+    });
+  }
+
+  /**
+   * localStorage helpers — quietly do nothing where
+   * storage is unavailable (private mode, worklet)
+   */
+  static loadUserScales() {
+    try {
+      const saved = globalThis.localStorage.getItem(ScaleRegistry.storageKey);
+      if (saved) ScaleRegistry.importUserScales(JSON.parse(saved));
+    } catch (e) {}
+  }
+
+  static saveUserScales() {
+    try {
+      globalThis.localStorage.setItem(ScaleRegistry.storageKey,
+        JSON.stringify(ScaleRegistry.exportUserScales()));
+    } catch (e) {}
+  }
+}
+
+ScaleRegistry.storageKey = 'wavrtune.userScales';
+
+// Built-in scales, in dropdown order
+ScaleRegistry.builtIn = {
+  // ---- Common ----
+  major:               { label: 'Major',              group: 'Common', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor:               { label: 'Minor',              group: 'Common', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  chromatic:           { label: 'Chromatic',          group: 'Common', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+
+  // ---- Church modes (ionian = major, aeolian = minor) ----
+  dorian:              { label: 'Dorian',             group: 'Modes', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian:            { label: 'Phrygian',           group: 'Modes', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  lydian:              { label: 'Lydian',             group: 'Modes', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian:          { label: 'Mixolydian',         group: 'Modes', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  locrian:             { label: 'Locrian',            group: 'Modes', intervals: [0, 1, 3, 5, 6, 8, 10] },
+
+  // ---- Minor variants ----
+  harmonicMinor:       { label: 'Harmonic Minor',     group: 'Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  melodicMinor:        { label: 'Melodic Minor',      group: 'Minor', intervals: [0, 2, 3, 5, 7, 9, 11] },
+
+  // ---- Pentatonic + blues ----
+  pentatonic:          { label: 'Major Pentatonic',   group: 'Pentatonic & Blues', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic:     { label: 'Minor Pentatonic',   group: 'Pentatonic & Blues', intervals: [0, 3, 5, 7, 10] },
+  blues:               { label: 'Minor Blues',        group: 'Pentatonic & Blues', intervals: [0, 3, 5, 6, 7, 10] },
+  majorBlues:          { label: 'Major Blues',        group: 'Pentatonic & Blues', intervals: [0, 2, 3, 4, 7, 9] },
+
+  // ---- Symmetric ----
+  wholeTone:           { label: 'Whole Tone',         group: 'Symmetric', intervals: [0, 2, 4, 6, 8, 10] },
+  diminished:          { label: 'Diminished (W-H)',   group: 'Symmetric', intervals: [0, 2, 3, 5, 6, 8, 9, 11] },
+  diminishedHalfWhole: { label: 'Diminished (H-W)',   group: 'Symmetric', intervals: [0, 1, 3, 4, 6, 7, 9, 10] },
+
+  // ---- World ----
+  hijaz:               { label: 'Hijaz',              group: 'World', intervals: [0, 1, 4, 5, 7, 8, 10] },
+  doubleHarmonic:      { label: 'Double Harmonic',    group: 'World', intervals: [0, 1, 4, 5, 7, 8, 11] },
+  hungarianMinor:      { label: 'Hungarian Minor',    group: 'World', intervals: [0, 2, 3, 6, 7, 8, 11] },
+  hirajoshi:           { label: 'Hirajoshi',          group: 'World', intervals: [0, 2, 3, 7, 8] },
+  inSen:               { label: 'In Sen',             group: 'World', intervals: [0, 1, 5, 7, 10] }
+};
+
+// Registered at runtime: name → { label, group: 'User', intervals }
+ScaleRegistry.user = {};
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.ScaleRegistry = ScaleRegistry;
@@ -0,0 +1,215 @@
+// ============================================
+// WAVR TUNE — Session Recorder
+//
+// Records the live mic path as takes: the dry input
+// and the corrected output of every processed block,
+// as delivered by the AudioWorklet ('recorded'
+// messages) or the ScriptProcessor fallback.
+//
+// The corrected signal lags the dry one by the
+// shifter latency (PitchCorrector.getLatency); stop()
+// drops that lag so both line up sample for sample.
+// The corrected tail still inside the shifter is
+// missing: new takes are padded with silence there,
+// punches keep the take's own audio.
+//
+// Punch in/out: a recording made while a take plays
+// back replaces that stretch of the take (punch()),
+// with short crossfades at both ends.
+//
+// A take is a plain object (storable in IndexedDB):
+// {
+//   id, name,
+//   created: ms timestamp,
+//   sampleRate,
+//   dry: [Float32Array],   // one per channel
+//   wet: [Float32Array],   // corrected, same length
+//   beatOffset: seconds into the backing track where
+//               the take starts (null: sung without one)
+// }
+// ============================================
+
+class SessionRecorder {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.recording = false;
+
+    // Samples the corrected signal lags the dry one
+    this.latency = 0;
+
+    // Context time of the first recorded dry sample
+    this.startTime = null;
+
+    this.dryChunks = [];
+    this.wetChunks = [];
+  }
+
+  start(latency) {
+    this.recording = true;
+    this.latency = latency;
+    this.startTime = null;
+    this.dryChunks = [];
+    this.wetChunks = [];
+  }
+
+  /**
+   * Add one processed block (copied — hosts reuse their buffers)
+   *
+   * time: context time of the block's first dry sample
+   * dry, wet: Float32Array per channel
+   */
+  push(time, dry, wet) {
+    if (!this.recording) return;
+    if (this.startTime === null) this.startTime = time;
+
+    this.dryChunks.push(dry.map(channel => new Float32Array(channel)));
+    this.wetChunks.push(wet.map(channel => new Float32Array(channel)));
+  }
+
+  /**
+   * Finish recording
+   *
+   * Returns { startTime, sampleRate, dry, wet } with dry and
+   * wet aligned (wet is `latency` samples shorter), or null
+   * if no block arrived
+   */
+  stop() {
+    this.recording = false;
+    if (this.dryChunks.length === 0) return null;
+
+    // A mono mic arrives up-mixed to two identical channels
+    const dry = SessionRecorder.dropCopies(SessionRecorder.join(this.dryChunks));
+    const wet = SessionRecorder.join(this.wetChunks)
+      .map(channel => channel.slice(Math.min(this.latency, channel.length)));
+
+    this.dryChunks = [];
+    this.wetChunks = [];
+
+    return { startTime: this.startTime, sampleRate: this.sampleRate, dry: dry, wet: wet };
+  }
+
+  /**
+   * New take from a finished recording
+   */
+  static createTake(recording, name) {
+    const created = Date.now();
+    return {
+      id: 'take-' + created.toString(36) + '-' + Math.random().toString(36).slice(2, 6),
+      name: name,
+      created: created,
+      sampleRate: recording.sampleRate,
+      dry: recording.dry,
+      wet: SessionRecorder.padTo(recording.wet, recording.dry[0].length),
+      beatOffset: null
+    };
+  }
+
+  /**
+   * Concatenate blocks into one Float32Array per channel.
+   * The channel count may change between blocks (e.g.
+   * harmonies switched on); mono blocks fill every channel.
+   */
+  static join(chunks) {
+    const channels = chunks.reduce((most, chunk) => Math.max(most, chunk.length), 0);
+    const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+    const joined = [];
+
+    for (let ch = 0; ch < channels; ch++) {
+      const data = new Float32Array(length);
+      let pos = 0;
+      chunks.forEach(chunk => {
+        data.set(chunk[Math.min(ch, chunk.length - 1)], pos);
+        pos += chunk[0].length;
+      });
+      joined.push(data);
+    }
+    return joined;
+  }
+
+  /**
+   * Channels after the first that are exact copies of it removed
+   */
+  static dropCopies(channels) {
+    const first = channels[0];
+    return channels.filter((channel, ch) => ch === 0 || channel.some((v, i) => v !== first[i]));
+  }
+
+  /**
+   * Punch a recording into a take
+   *
+   * offset: seconds into the take where the recording starts
+   *
+   * Returns the new { dry, wet } of the take (the take is not
+   * changed). It grows if the recording runs past its end.
+   */
+  static punch(take, recording, offset) {
+    const start = Math.max(0, Math.round(offset * take.sampleRate));
+    const fade = Math.round(SessionRecorder.punchFade * take.sampleRate);
+
+    const splice = (original, replacement) => {
+      const length = Math.max(original[0].length, start + replacement[0].length);
+      const channels = Math.max(original.length, replacement.length);
+      const result = [];
+
+      for (let ch = 0; ch < channels; ch++) {
+        const old = original[Math.min(ch, original.length - 1)];
+        const add = replacement[Math.min(ch, replacement.length - 1)];
+        const data = new Float32Array(length);
+        data.set(old);
+
+        const end = start + add.length;
+        for (let i = start; i < end; i++) {
+          // Crossfade in over `fade` samples and back out at the end
+          const gain = Math.min(1, (i - start) / fade, (end - i) / fade);
+          const before = i < old.length ? old[i] : 0;
+          data[i] = before * (1 - gain) + add[i - start] * gain;
+        }
+        result.push(data);
+      }
+      return result;
+    };
+
+    const dry = splice(take.dry, recording.dry);
+    return {
+      dry: dry,
+      wet: SessionRecorder.padTo(splice(take.wet, recording.wet), dry[0].length)
+    };
+  }
+
+  /**
+   * Channels extended with silence to `length` samples
+   */
+  static padTo(channels, length) {
+    return channels.map(channel => {
+      if (channel.length >= length) return channel;
+      const padded = new Float32Array(length);
+      padded.set(channel);
+      return padded;
+    });
+  }
+
+  /**
+   * Channels moved `samples` later (silence in front), or
+   * earlier for negative values (the start cut off)
+   */
+  static delay(channels, samples) {
+    return channels.map(channel => {
+      if (samples <= 0) return channel.slice(Math.min(-samples, channel.length));
+      const delayed = new Float32Array(channel.length + samples);
+      delayed.set(channel, samples);
+      return delayed;
+    });
+  }
+
+  /**
+   * Length of a take in seconds
+   */
+  static duration(take) {
+    return take.dry.length ? take.dry[0].length / take.sampleRate : 0;
+  }
+}
+
+// Seconds of crossfade at each end of a punch
+SessionRecorder.punchFade = 0.01;
+
+window.SessionRecorder = SessionRecorder;
@@ -0,0 +1,104 @@
+// ============================================
+// WAVR TUNE — Take Storage
+//
+// Keeps recorded takes (see SessionRecorder) in
+// IndexedDB, so they survive a reload. Without
+// IndexedDB (old browsers, some private modes) the
+// takes live in memory until the page closes.
+//
+// Typed arrays are stored as they are (structured
+// clone), no encoding needed.
+//
+// For testing, pass a fake indexedDB (or null for
+// the in-memory store).
+// ============================================
+
+class TakeStore {
+  /**
+   * options: {
+   *   indexedDB: IDBFactory | null   // default window.indexedDB
+   * }
+   */
+  constructor(options = {}) {
+    this.factory = options.indexedDB !== undefined
+      ? options.indexedDB
+      : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.db = null;
+
+    // Fallback store: id → take
+    this.memory = new Map();
+  }
+
+  /**
+   * Open the database. Resolves to true when takes are
+   * persistent, false when they are kept in memory.
+   */
+  async open() {
+    if (this.db) return true;
+    if (!this.factory) return false;
+
+    try {
+      const request = this.factory.open(TakeStore.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(TakeStore.storeName, { keyPath: 'id' });
+      };
+      this.db = await TakeStore.done(request);
+    } catch (err) {
+      console.warn('IndexedDB unavailable, takes are kept in memory:', err);
+      this.db = null;
+    }
+    return !!this.db;
+  }
+
+  isPersistent() {
+    return !!this.db;
+  }
+
+  /**
+   * All takes, oldest first
+   */
+  async list() {
+    const takes = this.db
+      ? await TakeStore.done(this.objectStore('readonly').getAll())
+      : Array.from(this.memory.values());
+    return takes.sort((a, b) => a.created - b.created);
+  }
+
+  /**
+   * Add or replace a take (by id)
+   */
+  async put(take) {
+    if (!this.db) {
+      this.memory.set(take.id, take);
+      return;
+    }
+    await TakeStore.done(this.objectStore('readwrite').put(take));
+  }
+
+  async delete(id) {
+    if (!this.db) {
+      this.memory.delete(id);
+      return;
+    }
+    await TakeStore.done(this.objectStore('readwrite').delete(id));
+  }
+
+  objectStore(mode) {
+    return this.db.transaction(TakeStore.storeName, mode).objectStore(TakeStore.storeName);
+  }
+
+  /**
+   * Promise for an IDBRequest's result
+   */
+  static done(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+TakeStore.dbName = 'wavr-tune';
+TakeStore.storeName = 'takes';
+
+window.TakeStore = TakeStore;
@@ -0,0 +1,378 @@
+// ============================================
+// WAVR TUNE — Tuning Systems
+//
+// Maps "keys" (MIDI-style note numbers) to
+// frequencies, so detection, correction and the
+// displays are not tied to 12-TET at A = 440 Hz.
+//
+// A tuning is:
+// - steps:   cents of each scale degree above degree 0
+//            (steps[0] = 0), within one period
+// - period:  cents after which the steps repeat
+//            (1200 = octave)
+// - mapping: optional Scala keyboard mapping (.kbm)
+//            that assigns degrees to keys
+//
+// Without a mapping, key 60 is degree 0 and each
+// key up is one degree. 12-note tunings put key 69
+// on concert A (the Scala default); others put
+// degree 0 on C4 as 12-TET would place it, so every
+// EDO shares middle C with the 12-TET grid.
+//
+// Reference: Scala file formats,
+// https://www.huygens-fokker.org/scala/scl_format.html
+// ============================================
+
+class Tuning {
+  /**
+   * options: {
+   *   name: '12-TET',
+   *   steps: [0, 100, ...],       // cents, ascending, steps[0] = 0
+   *   period: 1200,               // cents
+   *   referenceFrequency: 440,    // concert A (ignored when the
+   *                               // mapping sets its own reference)
+   *   mapping: null               // see parseKbm
+   * }
+   */
+  constructor(options = {}) {
+    this.name = options.name || '12-TET';
+    this.steps = options.steps || Tuning.equalSteps(12);
+    this.period = options.period || 1200;
+    this.referenceFrequency = options.referenceFrequency || 440;
+    this.mapping = options.mapping || null;
+
+    this.middleNote = this.mapping ? this.mapping.middleNote : 60;
+    this.keysPerPeriod = (this.mapping && this.mapping.size) || this.steps.length;
+
+    // Frequency of degree 0 (at middleNote)
+    if (this.mapping) {
+      const refDegree = this.keyToDegree(this.mapping.referenceNote, true);
+      this.baseFrequency = this.mapping.referenceFrequency /
+        Math.pow(2, this.degreeToCents(refDegree === null ? 0 : refDegree) / 1200);
+    } else if (this.steps.length === 12) {
+      this.baseFrequency = this.referenceFrequency / Math.pow(2, this.steps[9] / 1200);
+    } else {
+      this.baseFrequency = this.referenceFrequency * Math.pow(2, -9 / 12);
+    }
+  }
+
+  // ---- Factories ----
+
+  /**
+   * N equal divisions of the octave
+   */
+  static equal(divisions, referenceFrequency = 440) {
+    return new Tuning({
+      name: divisions === 12 ? '12-TET' : divisions + '-EDO',
+      steps: Tuning.equalSteps(divisions),
+      period: 1200,
+      referenceFrequency: referenceFrequency
+    });
+  }
+
+  static equalSteps(divisions) {
+    const steps = [];
+    for (let i = 0; i < divisions; i++) steps.push((1200 * i) / divisions);
+    return steps;
+  }
+
+  /**
+   * Build a tuning from Scala file contents
+   *
+   * sclText: contents of a .scl file
+   * kbmText: contents of a .kbm file (optional)
+   *
+   * Throws an Error describing the first problem found
+   */
+  static fromScala(sclText, kbmText, referenceFrequency = 440) {
+    const scl = Tuning.parseScl(sclText);
+    const mapping = kbmText ? Tuning.parseKbm(kbmText) : null;
+
+    return new Tuning({
+      name: scl.description || 'Scala tuning',
+      steps: [0].concat(scl.pitches.slice(0, -1)),
+      period: scl.pitches[scl.pitches.length - 1],
+      referenceFrequency: referenceFrequency,
+      mapping: mapping
+    });
+  }
+
+  /**
+   * Parse a .scl file
+   *
+   * Returns { description, pitches: [cents] } — degree 0
+   * (1/1) is implied, the last pitch is the period
+   */
+  static parseScl(text) {
+    const lines = Tuning.dataLines(text);
+    if (lines.length < 2) throw new Error('Scala file is too short');
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1], 10);
+    if (!(count > 0)) throw new Error('Scala file has no notes');
+    if (lines.length < 2 + count) throw new Error('Scala file lists fewer than ' + count + ' notes');
+
+    const pitches = [];
+    for (let i = 0; i < count; i++) {
+      const token = lines[2 + i].trim().split(/\s+/)[0];
+      const cents = Tuning.parsePitch(token);
+      if (cents === null) throw new Error('Cannot read Scala pitch "' + token + '"');
+      pitches.push(cents);
+    }
+
+    // Degrees must rise and the period must be positive
+    for (let i = 0; i < pitches.length; i++) {
+      const prev = i === 0 ? 0 : pitches[i - 1];
+      if (!(pitches[i] > prev)) throw new Error('Scala pitches must be in ascending order');
+    }
+
+    return { description: description, pitches: pitches };
+  }
+
+  /**
+   * Scala pitch: cents if it contains a '.',
+   * otherwise a ratio ("3/2") or whole number ("2")
+   */
+  static parsePitch(token) {
+    if (!token) return null;
+
+    if (token.indexOf('.') !== -1) {
+      const cents = parseFloat(token);
+      return isFinite(cents) ? cents : null;
+    }
+
+    const parts = token.split('/');
+    const num = parseInt(parts[0], 10);
+    const den = parts.length > 1 ? parseInt(parts[1], 10) : 1;
+    if (!(num > 0) || !(den > 0)) return null;
+    return 1200 * Math.log2(num / den);
+  }
+
+  /**
+   * Parse a .kbm keyboard mapping
+   *
+   * Returns {
+   *   size,                // keys per repeat (0 = linear)
+   *   firstNote, lastNote, // mapped key range
+   *   middleNote,          // key of degree 0
+   *   referenceNote,       // key tuned to referenceFrequency
+   *   referenceFrequency,
+   *   octaveDegree,        // degree one repeat up
+   *   map: [degree|null]   // per key in the repeat, null = unmapped
+   * }
+   */
+  static parseKbm(text) {
+    const lines = Tuning.dataLines(text).map(l => l.trim().split(/\s+/)[0]);
+    if (lines.length < 7) throw new Error('Keyboard mapping is too short');
+
+    const size = parseInt(lines[0], 10);
+    const mapping = {
+      size: size,
+      firstNote: parseInt(lines[1], 10),
+      lastNote: parseInt(lines[2], 10),
+      middleNote: parseInt(lines[3], 10),
+      referenceNote: parseInt(lines[4], 10),
+      referenceFrequency: parseFloat(lines[5]),
+      octaveDegree: parseInt(lines[6], 10),
+      map: []
+    };
+
+    if (!(size >= 0) || isNaN(mapping.middleNote) || isNaN(mapping.referenceNote) ||
+        !(mapping.referenceFrequency > 0)) {
+      throw new Error('Keyboard mapping header is invalid');
+    }
+
+    for (let i = 0; i < size; i++) {
+      const entry = lines[7 + i];
+      // Missing trailing entries are unmapped, like 'x'
+      mapping.map.push(entry === undefined || entry === 'x' ? null : parseInt(entry, 10));
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Non-comment lines of a Scala file
+   */
+  static dataLines(text) {
+    return String(text).split(/\r?\n/).filter(line => line.charAt(0) !== '!');
+  }
+
+  static fromJSON(json) {
+    return new Tuning(json);
+  }
+
+  /**
+   * Plain object for postMessage / getParams
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      steps: this.steps.slice(),
+      period: this.period,
+      referenceFrequency: this.referenceFrequency,
+      mapping: this.mapping
+    };
+  }
+
+  /**
+   * Same tuning at another concert A
+   */
+  withReference(referenceFrequency) {
+    const json = this.toJSON();
+    json.referenceFrequency = referenceFrequency;
+    return new Tuning(json);
+  }
+
+  // ---- Keys / degrees / frequencies ----
+
+  /**
+   * Scale degree of a key (can be negative or past one
+   * period), or null if the mapping leaves it out
+   */
+  keyToDegree(key, ignoreRange) {
+    const offset = key - this.middleNote;
+    const m = this.mapping;
+    if (!m || m.size === 0) return offset;
+
+    if (!ignoreRange && (key < m.firstNote || key > m.lastNote)) return null;
+
+    const repeat = Math.floor(offset / m.size);
+    const degree = m.map[offset - repeat * m.size];
+    if (degree === null || degree === undefined || isNaN(degree)) return null;
+
+    return degree + repeat * (m.octaveDegree || this.steps.length);
+  }
+
+  degreeToCents(degree) {
+    const n = this.steps.length;
+    const repeat = Math.floor(degree / n);
+    return repeat * this.period + this.steps[degree - repeat * n];
+  }
+
+  /**
+   * Frequency of a key (0 if it is unmapped)
+   */
+  keyToFrequency(key) {
+    const degree = this.keyToDegree(key);
+    if (degree === null) return 0;
+    return this.baseFrequency * Math.pow(2, this.degreeToCents(degree) / 1200);
+  }
+
+  /**
+   * True when the tuning has 12 keys per period, so
+   * key/scale masks (pitch classes 0-11) apply to it
+   */
+  hasPitchClasses() {
+    return this.keysPerPeriod === 12;
+  }
+
+  /**
+   * Nearest key to a frequency
+   *
+   * pitchClasses: optional allowed pitch classes (0-11),
+   *   only used when hasPitchClasses()
+   *
+   * Returns { key, frequency, cents } (cents = how far the
+   * input is above the key) or null
+   */
+  nearest(frequency, pitchClasses) {
+    if (!(frequency > 0)) return null;
+
+    const usePitchClasses = pitchClasses && this.hasPitchClasses();
+    const span = this.keysPerPeriod;
+    const cents = 1200 * Math.log2(frequency / this.baseFrequency);
+    const estimate = this.middleNote + Math.round((cents / this.period) * span);
+    let best = null;
+
+    for (let key = estimate - span; key <= estimate + span; key++) {
+      if (usePitchClasses && pitchClasses.indexOf(((key % 12) + 12) % 12) === -1) continue;
+
+      const keyFreq = this.keyToFrequency(key);
+      if (keyFreq <= 0) continue;
+
+      const deviation = 1200 * Math.log2(frequency / keyFreq);
+      if (!best || Math.abs(deviation) < Math.abs(best.cents)) {
+        best = { key: key, frequency: keyFreq, cents: deviation };
+      }
+    }
+
+    return best;
+  }
+
+  // ---- Labels ----
+
+  /**
+   * Display name of a key: { note, octave, label }
+   */
+  keyName(key) {
+    const offset = key - this.middleNote;
+    const n = this.steps.length;
+
+    if (this.hasPitchClasses()) {
+      const note = Tuning.noteNames[((key % 12) + 12) % 12];
+      const octave = Math.floor(key / 12) - 1;
+      return { note: note, octave: octave, label: note + octave };
+    }
+
+    const repeat = Math.floor(offset / n);
+    const degree = offset - repeat * n;
+    const octave = repeat + 4;
+
+    // Quarter tones: natural names with an "up" arrow
+    if (n === 24 && !this.mapping) {
+      const note = Tuning.noteNames[Math.floor(degree / 2)] + (degree % 2 ? '↑' : '');
+      return { note: note, octave: octave, label: note + octave };
+    }
+
+    // Anything else: degree\divisions, e.g. 7\19
+    const note = degree + '\\' + n;
+    return { note: note, octave: octave, label: note };
+  }
+
+  /**
+   * Where a frequency falls within the period (0-1,
+   * 0 = degree 0) — used to place it on the visualizer ring
+   */
+  periodPosition(frequency) {
+    const cents = 1200 * Math.log2(frequency / this.baseFrequency);
+    return (((cents % this.period) + this.period) % this.period) / this.period;
+  }
+
+  /**
+   * Ring labels: [{ position: 0-1, label }]
+   * 12 keys: natural note names; otherwise degree numbers,
+   * thinned out so at most ~12 are shown
+   */
+  getLabels() {
+    const labels = [];
+    const n = this.steps.length;
+
+    if (this.hasPitchClasses()) {
+      [0, 2, 4, 5, 7, 9, 11].forEach(pc => {
+        const freq = this.keyToFrequency(60 + pc);
+        if (freq > 0) labels.push({ position: this.periodPosition(freq), label: Tuning.noteNames[pc] });
+      });
+      return labels;
+    }
+
+    if (n === 24 && !this.mapping) {
+      [0, 2, 4, 5, 7, 9, 11].forEach(pc => {
+        labels.push({ position: this.steps[pc * 2] / this.period, label: Tuning.noteNames[pc] });
+      });
+      return labels;
+    }
+
+    const every = Math.ceil(n / 12);
+    for (let d = 0; d < n; d += every) {
+      labels.push({ position: this.steps[d] / this.period, label: String(d) });
+    }
+    return labels;
+  }
+}
+
+Tuning.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.Tuning = Tuning;
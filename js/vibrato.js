@@ -0,0 +1,180 @@
+// ============================================
+// WAVR TUNE — Vibrato Analysis + Synthesis
+//
+// VibratoTracker splits the detected pitch of each
+// block into a slow center and a periodic vibrato
+// part, so the corrector can snap the center while
+// leaving the singer's vibrato in:
+// 1. A line is fitted through the last second of
+//    pitch (removes slow drift / scoops)
+// 2. Zero crossings of what is left give the rate,
+//    its RMS the depth
+// 3. Rate 3-9 Hz and depth ≥ 10 cents = vibrato;
+//    the center is then the mean over one vibrato
+//    cycle, which cancels the modulation
+//
+// VibratoLfo adds vibrato: a sine of the given rate
+// and depth that starts `delay` seconds into each
+// held note and fades in, as singers do.
+// ============================================
+
+class VibratoTracker {
+  constructor() {
+    this.historySeconds = 1.0;   // analysis window
+    this.minRate = 3;            // Hz
+    this.maxRate = 9;
+    this.minDepth = 10;          // cents (peak)
+    this.maxDepth = 150;         // wider than this is a note change
+    this.defaultRate = 5.5;      // center window until a rate is known
+    this.gateStep = 0.25;        // per block — fades separation in/out
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];           // { cents, seconds } per voiced block
+    this.active = false;
+    this.rate = 0;
+    this.depth = 0;
+    this.gate = 0;
+  }
+
+  /**
+   * Add one voiced block
+   *
+   * cents:   detected pitch in cents (any fixed reference)
+   * seconds: block duration
+   *
+   * Returns { center, residual } in cents — center + residual
+   * is the input; residual is only non-zero during vibrato
+   */
+  push(cents, seconds) {
+    const history = this.history;
+
+    // Jumped to another note: start over
+    const last = history[history.length - 1];
+    if (last && Math.abs(cents - last.cents) > this.maxDepth * 2) {
+      this.reset();
+    }
+
+    history.push({ cents: cents, seconds: seconds });
+    let total = 0;
+    for (let i = history.length - 1; i >= 0; i--) total += history[i].seconds;
+    while (history.length > 1 && total - history[0].seconds >= this.historySeconds) {
+      total -= history.shift().seconds;
+    }
+
+    this.analyze(total);
+
+    this.gate = Math.max(0, Math.min(1, this.gate + (this.active ? this.gateStep : -this.gateStep)));
+    if (this.gate === 0) return { center: cents, residual: 0 };
+
+    const center = this.cycleMean(1 / (this.active ? this.rate : this.defaultRate));
+    const residual = (cents - center) * this.gate;
+    return { center: cents - residual, residual: residual };
+  }
+
+  /**
+   * Rate / depth of the detrended history
+   */
+  analyze(total) {
+    const history = this.history;
+    const n = history.length;
+    this.active = false;
+    if (total < this.historySeconds * 0.5 || n < 6) return;
+
+    // Least-squares line through (time, cents)
+    let t = 0;
+    let sumT = 0, sumC = 0, sumTT = 0, sumTC = 0;
+    const times = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      times[i] = t;
+      sumT += t;
+      sumC += history[i].cents;
+      sumTT += t * t;
+      sumTC += t * history[i].cents;
+      t += history[i].seconds;
+    }
+    const denom = n * sumTT - sumT * sumT;
+    const slope = denom > 0 ? (n * sumTC - sumT * sumC) / denom : 0;
+    const offset = (sumC - slope * sumT) / n;
+
+    let crossings = 0;
+    let energy = 0;
+    let prev = 0;
+    for (let i = 0; i < n; i++) {
+      const r = history[i].cents - (offset + slope * times[i]);
+      if (i > 0 && (r > 0) !== (prev > 0)) crossings++;
+      energy += r * r;
+      prev = r;
+    }
+
+    this.rate = crossings / (2 * total);
+    this.depth = Math.sqrt(2 * energy / n);
+    this.active = this.rate >= this.minRate && this.rate <= this.maxRate &&
+                  this.depth >= this.minDepth && this.depth <= this.maxDepth;
+  }
+
+  /**
+   * Time-weighted mean of the last `period` seconds
+   */
+  cycleMean(period) {
+    const history = this.history;
+    let weight = 0;
+    let sum = 0;
+    for (let i = history.length - 1; i >= 0 && weight < period; i--) {
+      const w = Math.min(history[i].seconds, period - weight);
+      sum += history[i].cents * w;
+      weight += w;
+    }
+    return weight > 0 ? sum / weight : 0;
+  }
+}
+
+class VibratoLfo {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.rate = 5.5;      // Hz
+    this.depth = 0;       // cents (peak) — 0 = off
+    this.delay = 0.3;     // seconds into the note before it starts
+    this.fadeTime = 0.3;  // seconds to reach full depth
+    this.factors = null;  // last block's factors (reused)
+    this.reset();
+  }
+
+  reset() {
+    this.phase = 0;
+    this.noteTime = 0;
+  }
+
+  isOn() {
+    return this.depth > 0 && this.rate > 0;
+  }
+
+  /**
+   * Pitch factors (1 = unchanged) for the next `length`
+   * samples of the current note (overwritten by the next call)
+   */
+  process(length) {
+    if (!this.factors || this.factors.length !== length) this.factors = new Float32Array(length);
+    const factors = this.factors;
+    const step = (2 * Math.PI * this.rate) / this.sampleRate;
+    const dt = 1 / this.sampleRate;
+
+    for (let i = 0; i < length; i++) {
+      const fade = Math.max(0, Math.min(1, (this.noteTime - this.delay) / this.fadeTime));
+      const cents = fade > 0 ? this.depth * fade * Math.sin(this.phase) : 0;
+      factors[i] = Math.pow(2, cents / 1200);
+
+      // Phase only runs once the vibrato has started,
+      // so every note begins on the center pitch
+      if (fade > 0) this.phase = (this.phase + step) % (2 * Math.PI);
+      this.noteTime += dt;
+    }
+    return factors;
+  }
+}
+
+// Make available globally (window on the main thread,
+// AudioWorkletGlobalScope when loaded into the worklet)
+globalThis.VibratoTracker = VibratoTracker;
+globalThis.VibratoLfo = VibratoLfo;
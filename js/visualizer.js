@@ -39,10 +39,13 @@ class PitchVisualizer {
     this.particles = [];
     this.initParticles();
 
-    // Frequency range
+    // Frequency range (follows the detector, see setRange)
     this.noteStrings = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
-    this.minFreq = 80;
-    this.maxFreq = 800;
+    this.minFreq = 50;
+    this.maxFreq = 1200;
+
+    // Places notes around the ring and labels them
+    this.tuning = new Tuning();
 
     // Animation
     this.animationId = null;
@@ -92,6 +95,12 @@ class PitchVisualizer {
   // ---- Data Input ----
 
   pushData(detectedFreq, targetFreq) {
+    // Pitches outside the voice's range are shown as silence
+    if (detectedFreq < this.minFreq || detectedFreq > this.maxFreq) {
+      detectedFreq = 0;
+      targetFreq = 0;
+    }
+
     this.pitchHistory.push(detectedFreq);
     this.targetHistory.push(targetFreq);
 
@@ -117,6 +126,15 @@ class PitchVisualizer {
     this.currentClarity = clarity;
   }
 
+  setTuning(tuning) {
+    this.tuning = tuning;
+  }
+
+  setRange(minFreq, maxFreq) {
+    this.minFreq = minFreq;
+    this.maxFreq = maxFreq;
+  }
+
   // ---- Drawing ----
 
   draw() {
@@ -217,13 +235,12 @@ class PitchVisualizer {
       ctx.stroke();
     }
 
-    // Note labels around outer ring
-    const noteLabels = ['C', '', 'D', '', 'E', 'F', '', 'G', '', 'A', '', 'B'];
+    // Note labels around outer ring (one turn = one period of the tuning)
+    const noteLabels = this.tuning.getLabels();
     const labelR = r * 0.82;
 
-    noteLabels.forEach((label, i) => {
-      if (!label) return;
-      const angle = (i / 12) * Math.PI * 2 - Math.PI / 2;
+    noteLabels.forEach(({ position, label }) => {
+      const angle = position * Math.PI * 2 - Math.PI / 2;
       const x = cx + Math.cos(angle) * labelR;
       const y = cy + Math.sin(angle) * labelR;
 
@@ -396,9 +413,7 @@ class PitchVisualizer {
       }
 
       // Map frequency to angle
-      const noteNum = 12 * Math.log2(freq / 440);
-      const notePos = ((noteNum % 12) + 12) % 12;
-      const angle = (notePos / 12) * Math.PI * 2 - Math.PI / 2;
+      const angle = this.tuning.periodPosition(freq) * Math.PI * 2 - Math.PI / 2;
 
       // Slight spiral inward for older points
       const ageRatio = i / trailLength;
@@ -427,9 +442,7 @@ class PitchVisualizer {
     if (this.pitchHistory.length > 0) {
       const lastFreq = this.pitchHistory[this.pitchHistory.length - 1];
       if (lastFreq > 0) {
-        const noteNum = 12 * Math.log2(lastFreq / 440);
-        const notePos = ((noteNum % 12) + 12) % 12;
-        const angle = (notePos / 12) * Math.PI * 2 - Math.PI / 2;
+        const angle = this.tuning.periodPosition(lastFreq) * Math.PI * 2 - Math.PI / 2;
 
         const dotX = cx + Math.cos(angle) * trailR;
         const dotY = cy + Math.sin(angle) * trailR;
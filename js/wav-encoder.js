@@ -0,0 +1,119 @@
+// ============================================
+// WAVR TUNE — WAV Encoder
+//
+// Writes Float32Array channel data out as a
+// RIFF/WAVE file:
+// - 16-bit PCM
+// - 24-bit PCM
+// - 32-bit IEEE float
+//
+// Samples are interleaved and little-endian,
+// as the format requires.
+// ============================================
+
+class WavEncoder {
+  /**
+   * Encode channels into a WAV ArrayBuffer
+   *
+   * channels:   array of Float32Array (all the same length)
+   * sampleRate: e.g. 48000
+   * format:     'pcm16' | 'pcm24' | 'float32'
+   */
+  static encode(channels, sampleRate, format = 'pcm16') {
+    const spec = WavEncoder.formats[format];
+    if (!spec) {
+      throw new Error('Unknown WAV format: ' + format);
+    }
+
+    const numChannels = channels.length;
+    const numFrames = numChannels > 0 ? channels[0].length : 0;
+    const bytesPerSample = spec.bits / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    // Float files carry an extended fmt chunk + a fact chunk
+    const fmtSize = spec.float ? 18 : 16;
+    const factSize = spec.float ? 12 : 0;
+    const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    let pos = 0;
+
+    const writeString = (str) => {
+      for (let i = 0; i < str.length; i++) {
+        view.setUint8(pos++, str.charCodeAt(i));
+      }
+    };
+
+    // ---- RIFF header ----
+    writeString('RIFF');
+    view.setUint32(pos, buffer.byteLength - 8, true); pos += 4;
+    writeString('WAVE');
+
+    // ---- fmt chunk ----
+    writeString('fmt ');
+    view.setUint32(pos, fmtSize, true); pos += 4;
+    view.setUint16(pos, spec.float ? 3 : 1, true); pos += 2;   // 1 = PCM, 3 = IEEE float
+    view.setUint16(pos, numChannels, true); pos += 2;
+    view.setUint32(pos, sampleRate, true); pos += 4;
+    view.setUint32(pos, sampleRate * blockAlign, true); pos += 4;
+    view.setUint16(pos, blockAlign, true); pos += 2;
+    view.setUint16(pos, spec.bits, true); pos += 2;
+    if (spec.float) {
+      view.setUint16(pos, 0, true); pos += 2;                   // cbSize
+      writeString('fact');
+      view.setUint32(pos, 4, true); pos += 4;
+      view.setUint32(pos, numFrames, true); pos += 4;
+    }
+
+    // ---- data chunk ----
+    writeString('data');
+    view.setUint32(pos, dataSize, true); pos += 4;
+
+    for (let i = 0; i < numFrames; i++) {
+      for (let ch = 0; ch < numChannels; ch++) {
+        const sample = channels[ch][i];
+
+        if (spec.float) {
+          view.setFloat32(pos, sample, true);
+        } else {
+          // Clamp, then scale to the signed integer range
+          const s = Math.max(-1, Math.min(1, sample));
+          const scale = s < 0 ? spec.negScale : spec.posScale;
+          const int = Math.round(s * scale);
+
+          if (spec.bits === 16) {
+            view.setInt16(pos, int, true);
+          } else {
+            view.setUint8(pos, int & 0xff);
+            view.setUint8(pos + 1, (int >> 8) & 0xff);
+            view.setUint8(pos + 2, (int >> 16) & 0xff);
+          }
+        }
+        pos += bytesPerSample;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Same as encode(), wrapped in a Blob ready for download
+   */
+  static encodeBlob(channels, sampleRate, format) {
+    return new Blob([WavEncoder.encode(channels, sampleRate, format)], { type: 'audio/wav' });
+  }
+}
+
+// ============================================
+// FORMAT DEFINITIONS
+// ============================================
+
+WavEncoder.formats = {
+  pcm16:   { bits: 16, float: false, posScale: 0x7fff,   negScale: 0x8000 },
+  pcm24:   { bits: 24, float: false, posScale: 0x7fffff, negScale: 0x800000 },
+  float32: { bits: 32, float: true }
+};
+
+window.WavEncoder = WavEncoder;
@@ -1,34 +1,82 @@
 // ============================================
 // WAVR TUNE — AudioWorklet Processor
 //
-// This is a future upgrade path from ScriptProcessor.
-// AudioWorklet runs on a dedicated audio thread
-// for lower latency and better performance.
+// Runs pitch detection + correction on the
+// dedicated audio thread, so a busy main thread
+// (visualizer, UI) can no longer cause glitches.
 //
-// Currently the app uses ScriptProcessor (wider support)
-// but this file is ready for when you want to upgrade.
+// Tuning, FFT, PitchAlgorithms, PitchDetector, PsolaShifter,
+// FormantFilter, ScaleRegistry, MelodyTimeline,
+// VibratoTracker/VibratoLfo, Humanizer, Harmonizer,
+// PitchCorrector and ChannelProcessor are loaded into the AudioWorkletGlobalScope
+// before this file (see WavrTuneApp.workletModules), so the
+// exact same DSP code runs here and on the main thread.
 //
-// To activate: 
+// The render quantum is only 128 samples, but pitch
+// detection needs a full analysis window, so input is gathered
+// into bufferSize blocks — 2048 samples, or smaller in
+// low-latency mode (processorOptions.blockSize). Output
+// lags input by one block plus the PSOLA shifter's
+// look-ahead (PitchCorrector.getLatency).
+//
+// Two channels in and out; ChannelProcessor decides
+// whether they are summed to mono, corrected as a
+// linked stereo pair or as dual mono.
+//
+// While recording, every block's dry input and
+// corrected output are posted back ('recorded') for
+// the SessionRecorder on the main thread, which
+// returns the buffers ('recycle') once it has copied
+// them — so the audio thread doesn't allocate per block.
+//
+// Setup (done by WavrTuneApp.createWorkletNode):
+//   await audioContext.audioWorklet.addModule('js/tuning.js');
+//   await audioContext.audioWorklet.addModule('js/fft.js');
+//   await audioContext.audioWorklet.addModule('js/pitch-algorithms.js');
+//   await audioContext.audioWorklet.addModule('js/pitch-detector.js');
+//   await audioContext.audioWorklet.addModule('js/psola-shifter.js');
+//   await audioContext.audioWorklet.addModule('js/formant-filter.js');
+//   await audioContext.audioWorklet.addModule('js/scale-registry.js');
+//   await audioContext.audioWorklet.addModule('js/melody-timeline.js');
+//   await audioContext.audioWorklet.addModule('js/vibrato.js');
+//   await audioContext.audioWorklet.addModule('js/humanizer.js');
+//   await audioContext.audioWorklet.addModule('js/harmonizer.js');
+//   await audioContext.audioWorklet.addModule('js/pitch-corrector.js');
+//   await audioContext.audioWorklet.addModule('js/channel-processor.js');
 //   await audioContext.audioWorklet.addModule('worklets/tune-processor.js');
-//   const node = new AudioWorkletNode(audioContext, 'tune-processor');
+//   const node = new AudioWorkletNode(audioContext, 'tune-processor',
+//     { processorOptions: { blockSize: 2048 } });
 // ============================================
 
 class TuneProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
 
     // ---- State ----
     this.bypassed = false;
-    this.correctionAmount = 0.75;
-    this.speed = 25;
-    this.mix = 0.85;
-    this.smoothedRatio = 1.0;
-
-    // Ring buffer for pitch detection
-    this.bufferSize = 2048;
-    this.inputRing = new Float32Array(this.bufferSize);
-    this.writeIndex = 0;
-    this.samplesCollected = 0;
+    this.recording = false;
+    this.alive = true;
+
+    // Context time the loaded file started playing at
+    // (null = live input) — gives melody lookups a position
+    this.playbackStart = null;
+
+    // ---- DSP (sampleRate is a worklet global) ----
+    this.pitchDetector = new PitchDetector(sampleRate);
+    this.pitchCorrector = new PitchCorrector(sampleRate);
+    this.channels = new ChannelProcessor(this.pitchDetector, this.pitchCorrector);
+
+    // Input is collected into inputBlocks while the
+    // previously corrected block drains from outputBlocks
+    // (one per channel)
+    const processorOptions = (options && options.processorOptions) || {};
+    this.bufferSize = processorOptions.blockSize || 2048;
+    this.inputBlocks = [new Float32Array(this.bufferSize), new Float32Array(this.bufferSize)];
+    this.outputBlocks = [new Float32Array(this.bufferSize), new Float32Array(this.bufferSize)];
+    this.blockIndex = 0;
+
+    // Recording buffers the main thread has handed back
+    this.recordPool = [];
 
     // ---- Listen for messages from main thread ----
     this.port.onmessage = (event) => {
@@ -41,126 +89,152 @@ class TuneProcessor extends AudioWorkletProcessor {
 
   /**
    * Handle messages from the main thread
+   *
+   * setParams: { params } — same shape as PitchCorrector.setParams
+   * detector:  { params } — same shape as PitchDetector.setParams
+   * channelMode: { mode } — 'mono' | 'stereo' | 'dual'
+   * userScales: { scales } — ScaleRegistry.exportUserScales() copy
+   * bypass:    { value }  — true = pass input straight through
+   * record:    { value }  — true = post every block's audio back
+   * recycle:   { buffers } — 'recorded' buffers, free to reuse
+   * playback:  { startTime } — context time the file started, null = live
+   * reset:     clear smoothing state and buffers
+   * dispose:   let the processor be garbage collected
    */
   handleMessage(data) {
     switch (data.type) {
       case 'setParams':
-        if (data.correction !== undefined) {
-          this.correctionAmount = data.correction / 100;
-        }
-        if (data.speed !== undefined) {
-          this.speed = data.speed;
-        }
-        if (data.mix !== undefined) {
-          this.mix = data.mix / 100;
-        }
+        this.channels.setParams(data.params);
+        break;
+
+      case 'detector':
+        this.channels.setDetectorParams(data.params);
+        break;
+
+      case 'channelMode':
+        this.channels.setMode(data.mode);
+        break;
+
+      case 'userScales':
+        ScaleRegistry.importUserScales(data.scales);
         break;
 
       case 'bypass':
         this.bypassed = data.value;
         break;
 
+      case 'record':
+        this.recording = data.value;
+        break;
+
+      case 'recycle':
+        data.buffers.forEach(buffer => {
+          if (buffer.length === this.bufferSize) this.recordPool.push(buffer);
+        });
+        break;
+
+      case 'playback':
+        this.playbackStart = data.startTime;
+        break;
+
       case 'reset':
-        this.smoothedRatio = 1.0;
-        this.inputRing.fill(0);
-        this.writeIndex = 0;
-        this.samplesCollected = 0;
+        this.channels.reset();
+        this.inputBlocks.forEach(block => block.fill(0));
+        this.outputBlocks.forEach(block => block.fill(0));
+        this.blockIndex = 0;
+        break;
+
+      case 'dispose':
+        this.alive = false;
         break;
     }
   }
 
   /**
    * Main audio processing callback
-   * Called for every 128-sample block
+   * Called for every 128-sample render quantum
    *
-   * inputs[0][0] = first input, first channel (mono)
-   * outputs[0][0] = first output, first channel
+   * inputs[0] = first input: two channels (a mono source
+   *             is up-mixed to both)
+   * outputs[0] = first output: two channels
    */
-  process(inputs, outputs, parameters) {
+  process(inputs, outputs) {
     const input = inputs[0];
     const output = outputs[0];
 
-    // No input connected
-    if (!input || !input[0] || input[0].length === 0) {
-      return true;
-    }
+    // No input connected — keep draining silence
+    const left = input && input[0];
+    const right = input && (input[1] || input[0]);
 
-    const inputChannel = input[0];
-    const outputChannel = output[0];
+    for (let i = 0; i < output[0].length; i++) {
+      this.inputBlocks[0][this.blockIndex] = left ? left[i] : 0;
+      this.inputBlocks[1][this.blockIndex] = right ? right[i] : 0;
+      for (let ch = 0; ch < output.length; ch++) {
+        output[ch][i] = this.outputBlocks[Math.min(ch, 1)][this.blockIndex];
+      }
+      this.blockIndex++;
 
-    // Bypass mode — pass through
-    if (this.bypassed) {
-      outputChannel.set(inputChannel);
-      this.sendAudioData(inputChannel);
-      return true;
+      if (this.blockIndex === this.bufferSize) {
+        this.processBlock(i);
+        this.blockIndex = 0;
+      }
     }
 
-    // Write incoming samples to ring buffer
-    for (let i = 0; i < inputChannel.length; i++) {
-      this.inputRing[this.writeIndex] = inputChannel[i];
-      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-      this.samplesCollected++;
-    }
+    return this.alive;
+  }
 
-    // For now pass through audio
-    // Full pitch correction would happen here using the ring buffer
-    // The main thread handles correction via ScriptProcessor currently
-    for (let i = 0; i < inputChannel.length; i++) {
-      outputChannel[i] = inputChannel[i] * this.mix + inputChannel[i] * (1.0 - this.mix);
+  /**
+   * Detect + correct one full analysis block
+   * The result is played out during the next block
+   *
+   * lastSample: index in the current render quantum of the
+   * block's last sample (currentTime is the quantum's start)
+   */
+  processBlock(lastSample) {
+    const blockStart = currentTime + (lastSample + 1 - this.bufferSize) / sampleRate;
+    if (this.playbackStart !== null) {
+      this.channels.setPosition(blockStart - this.playbackStart);
     }
 
-    // Send audio data to main thread for visualization
-    // Only send every N samples to avoid flooding
-    if (this.samplesCollected >= this.bufferSize) {
-      this.sendAudioData(this.inputRing);
-      this.samplesCollected = 0;
-    }
+    const result = this.channels.process(this.inputBlocks, this.bypassed);
+
+    // A mono result goes out on both channels
+    this.outputBlocks[0].set(result.outputs[0]);
+    this.outputBlocks[1].set(result.outputs[1] || result.outputs[0]);
+
+    // Send detection to main thread for display + visualization
+    this.port.postMessage({
+      type: 'pitch',
+      frequency: result.detection.frequency,
+      clarity: result.detection.clarity,
+      target: result.target
+    });
 
-    return true; // Keep processor alive
+    if (this.recording) this.postRecorded(blockStart, result.outputs);
   }
 
   /**
-   * Send audio data to main thread for pitch detection + visualization
+   * Send a copy of the block's input and output to the
+   * SessionRecorder (buffers are transferred, not cloned)
+   *
+   * time: context time of the block's first input sample
    */
-  sendAudioData(buffer) {
-    // Copy buffer since it will be reused
-    const copy = new Float32Array(buffer.length);
-    copy.set(buffer);
+  postRecorded(time, outputs) {
+    const dry = this.inputBlocks.map(block => this.copyBlock(block));
+    const wet = outputs.map(block => this.copyBlock(block));
+    const buffers = dry.concat(wet).map(block => block.buffer);
 
-    this.port.postMessage({
-      type: 'audioData',
-      buffer: copy
-    }, [copy.buffer]); // Transfer ownership for performance
+    this.port.postMessage({ type: 'recorded', time: time, dry: dry, wet: wet }, buffers);
   }
 
   /**
-   * Static getter for parameter descriptors
-   * These can be automated by the Web Audio API
+   * Copy of a block in a recycled buffer (a new one until
+   * the first buffers come back)
    */
-  static get parameterDescriptors() {
-    return [
-      {
-        name: 'correction',
-        defaultValue: 75,
-        minValue: 0,
-        maxValue: 100,
-        automationRate: 'k-rate'
-      },
-      {
-        name: 'speed',
-        defaultValue: 25,
-        minValue: 0,
-        maxValue: 100,
-        automationRate: 'k-rate'
-      },
-      {
-        name: 'mix',
-        defaultValue: 85,
-        minValue: 0,
-        maxValue: 100,
-        automationRate: 'k-rate'
-      }
-    ];
+  copyBlock(block) {
+    const copy = this.recordPool.pop() || new Float32Array(this.bufferSize);
+    copy.set(block);
+    return copy;
   }
 }
 